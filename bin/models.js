@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Manage the models in MODELS_DIR
+ *
+ *   models list                          Installed models, their state and the default
+ *   models verify [id...] [--no-checksum] Check every weight shard named in model.json and the input shape
+ *   models install <id> <tarball|dir> [--force]
+ *                                        Install from a local archive or mirror directory
+ *   models set-default <id>              Use <id> when DEFAULT_MODEL is not set
+ */
+
+require('dotenv').config();
+const MODEL_DEFINITIONS = require('../src/modelDefinitions');
+const ModelStore = require('../src/modelStore');
+
+const USAGE = `Usage: models <command> [options]
+
+Commands:
+  list                                List installed models
+  verify [id...] [--no-checksum]      Check that every shard exists with the right size and checksum
+  install <id> <tarball|dir> [--force] Install a model from a local archive or mirror directory
+  set-default <id>                    Set the model used when DEFAULT_MODEL is not set
+
+Models are read from MODELS_DIR (default: ./models).`;
+
+const store = new ModelStore({ modelsDir: process.env.MODELS_DIR || './models' });
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
+/**
+ * Print installed models with their verification state
+ * @returns {Promise<number>} Exit code
+ */
+async function list() {
+  const installed = await store.listInstalled();
+  if (installed.length === 0) {
+    console.log(`No models installed in ${store.modelDir('.')}`);
+    return 0;
+  }
+
+  const defaultModel = process.env.DEFAULT_MODEL || store.getDefault() || 'inception_v3';
+  for (const id of installed) {
+    const result = await store.verify(store.modelDir(id), { checksums: false, definition: MODEL_DEFINITIONS[id] });
+    const known = MODEL_DEFINITIONS[id] ? '' : ' (unknown to the server)';
+    const state = result.ok ? 'complete' : `incomplete: ${result.problems.length} problem(s)`;
+    const marker = id === defaultModel ? '*' : ' ';
+    console.log(`${marker} ${id.padEnd(20)} ${formatBytes(result.bytes).padStart(10)}  ${state}${known}`);
+  }
+
+  console.log(`\n* default model${process.env.DEFAULT_MODEL ? ' (from DEFAULT_MODEL)' : ''}`);
+  return 0;
+}
+
+/**
+ * Verify installed models
+ * @param {Array<string>} ids - Models to verify; all installed models when empty
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} Exit code: 1 if any model has problems
+ */
+async function verify(ids, flags) {
+  const targets = ids.length > 0 ? ids : await store.listInstalled();
+  let failed = 0;
+
+  for (const id of targets) {
+    const result = await store.verify(store.modelDir(id), { checksums: !flags['no-checksum'], definition: MODEL_DEFINITIONS[id] });
+    if (result.ok) {
+      const hashed = result.checksums && !flags['no-checksum'] ? ', checksums match' : ', sizes match (no checksums recorded)';
+      console.log(`${id}: OK (${result.shards.length} shard(s)${flags['no-checksum'] ? ', sizes match' : hashed})`);
+    } else {
+      failed++;
+      console.log(`${id}: FAILED`);
+      for (const problem of result.problems) {
+        console.log(`  ${problem}`);
+      }
+    }
+  }
+
+  if (failed > 0) {
+    console.log(`\n${failed} of ${targets.length} model(s) failed verification. Reinstall them with: models install <id> <tarball|dir> --force`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Install a model
+ * @param {Array<string>} args - `[id, source]`
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<number>} Exit code
+ */
+async function install([id, source], flags) {
+  if (!id || !source) {
+    console.error('Usage: models install <id> <tarball|dir> [--force]');
+    return 2;
+  }
+
+  const result = await store.install(id, source, { force: flags.force });
+  console.log(`Installed ${id} into ${result.dir} (${result.files.length - 1} shard(s), ${formatBytes(result.bytes)})`);
+  return 0;
+}
+
+/**
+ * Set the default model
+ * @param {Array<string>} args - `[id]`
+ * @returns {Promise<number>} Exit code
+ */
+async function setDefault([id]) {
+  if (!id) {
+    console.error('Usage: models set-default <id>');
+    return 2;
+  }
+
+  await store.setDefault(id);
+  console.log(`Default model set to ${id}`);
+  if (process.env.DEFAULT_MODEL && process.env.DEFAULT_MODEL !== id) {
+    console.log(`Note: DEFAULT_MODEL=${process.env.DEFAULT_MODEL} is set and takes precedence`);
+  }
+  return 0;
+}
+
+/**
+ * Split command-line arguments into positional arguments and `--flags`
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Object} `{ args, flags }`
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      flags[arg.slice(2)] = true;
+    } else {
+      args.push(arg);
+    }
+  }
+  return { args, flags };
+}
+
+const COMMANDS = {
+  list,
+  verify,
+  install,
+  'set-default': setDefault
+};
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    console.error(USAGE);
+    return command && command !== 'help' && command !== '--help' ? 2 : 0;
+  }
+
+  const { args, flags } = parseArgs(rest);
+  return COMMANDS[command](args, flags);
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
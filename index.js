@@ -1,59 +1,349 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const crypto = require('crypto');
+const os = require('os');
+const swaggerUiDist = require('swagger-ui-dist');
+const { version } = require('./package.json');
 
 // Import our modules
 const ImageProcessor = require('./src/imageProcessor');
+const ApiKeyManager = require('./src/apiKeyManager');
+const UrlPolicy = require('./src/urlPolicy');
 const NSFWAnalyzer = require('./src/nsfwAnalyzer');
+const ModelStore = require('./src/modelStore');
 const QueueManager = require('./src/queue');
+const BatchProcessor = require('./src/batchProcessor');
+const JobManager = require('./src/jobManager');
+const VideoProcessor = require('./src/videoProcessor');
+const ResultCache = require('./src/resultCache');
+const MemoryCacheStore = require('./src/memoryCacheStore');
+const FileCacheStore = require('./src/fileCacheStore');
+const HashList = require('./src/hashList');
+const PerceptualHash = require('./src/perceptualHash');
+const ImageRedactor = require('./src/imageRedactor');
+const Metrics = require('./src/metrics');
+const Logger = require('./src/logger');
+const ApiSpec = require('./src/apiSpec');
+const RequestValidator = require('./src/requestValidator');
 const ErrorHandler = require('./src/errorHandler');
+const { NotFoundError, NotReadyError } = require('./src/errors');
+
+// Incoming X-Request-Id values are echoed back and logged, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Swagger UI page for /docs; its assets are served from swagger-ui-dist, not a CDN
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>NSFW Image Analysis API</title>
+  <link rel="stylesheet" href="/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/swagger-ui-bundle.js"></script>
+  <script>window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>
+`;
 
 class NSFWImageAPI {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
     this.startTime = Date.now();
+    this.shuttingDown = false;
+    // Hold queued work until the models are ready instead of failing it with 503
+    this.waitForModel = process.env.WAIT_FOR_MODEL === 'true';
+    // Exit instead of serving when a model's files are missing, truncated or do not match its definition
+    this.strictModelCheck = process.env.MODEL_CHECK_STRICT === 'true';
+    this.maxUploadBytes = parseInt(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024;
+    this.maxVideoUploadBytes = parseInt(process.env.MAX_VIDEO_UPLOAD_SIZE) || 100 * 1024 * 1024;
+    this.adminToken = process.env.ADMIN_TOKEN || null;
+    this.logger = new Logger({
+      level: process.env.LOG_LEVEL || 'info',
+      redactUrls: process.env.LOG_REDACT_URLS === 'true'
+    });
+    this.apiKeys = new ApiKeyManager({
+      file: process.env.API_KEYS_FILE,
+      defaultMaxPriority: parseInt(process.env.DEFAULT_MAX_PRIORITY) || 0
+    });
+    this.metrics = new Metrics({ collectDefaultMetrics: true });
     
     // Initialize components
     this.imageProcessor = new ImageProcessor({
       maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || 1024,
-      timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000
+      timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000,
+      maxUploadBytes: this.maxUploadBytes,
+      metrics: this.metrics,
+      maxDownloadBytes: parseInt(process.env.MAX_DOWNLOAD_SIZE) || this.maxUploadBytes,
+      maxRedirects: process.env.MAX_REDIRECTS !== undefined ? parseInt(process.env.MAX_REDIRECTS) : 10,
+      urlPolicy: new UrlPolicy({
+        allowedHosts: this.parseList(process.env.URL_ALLOWED_HOSTS),
+        deniedHosts: this.parseList(process.env.URL_DENIED_HOSTS),
+        allowedPorts: process.env.URL_ALLOWED_PORTS !== undefined
+          ? this.parseList(process.env.URL_ALLOWED_PORTS).map(port => parseInt(port))
+          : [80, 443],
+        allowPrivateNetworks: process.env.URL_ALLOW_PRIVATE_NETWORKS === 'true'
+      }),
+      frameStrategy: process.env.FRAME_SAMPLING || 'max',
+      frameStep: parseInt(process.env.FRAME_STEP) || 5,
+      maxFrames: parseInt(process.env.MAX_FRAMES) || 10,
+      tileGrid: parseInt(process.env.TILE_GRID) || 3,
+      tileOverlap: process.env.TILE_OVERLAP !== undefined ? parseFloat(process.env.TILE_OVERLAP) : 0.25
     });
     
-    this.nsfwAnalyzer = new NSFWAnalyzer();
+    this.modelStore = new ModelStore({ modelsDir: process.env.MODELS_DIR || './models' });
+
+    this.nsfwAnalyzer = new NSFWAnalyzer({
+      modelsDir: this.modelStore.modelsDir,
+      // DEFAULT_MODEL wins over the default recorded with `npm run models -- set-default`
+      defaultModel: process.env.DEFAULT_MODEL || this.modelStore.getDefault() || 'inception_v3',
+      models: this.parseList(process.env.MODELS),
+      frameAggregation: process.env.FRAME_AGGREGATION || 'max',
+      policyFile: process.env.POLICY_FILE,
+      defaultPolicy: process.env.DEFAULT_POLICY,
+      loadAttempts: parseInt(process.env.MODEL_LOAD_ATTEMPTS) || 5,
+      loadRetryDelay: parseInt(process.env.MODEL_LOAD_RETRY_DELAY) || 1000,
+      loadRetryMaxDelay: parseInt(process.env.MODEL_LOAD_RETRY_MAX_DELAY) || 30000,
+      inferenceBatchSize: parseInt(process.env.INFERENCE_BATCH_SIZE) || 1,
+      inferenceBatchWait: process.env.INFERENCE_BATCH_WAIT !== undefined ? parseInt(process.env.INFERENCE_BATCH_WAIT) : 5,
+      // 0 runs inference on the main thread
+      workers: parseInt(process.env.INFERENCE_WORKERS) || 0,
+      workerMaxLeakedTensors: parseInt(process.env.WORKER_MAX_LEAKED_TENSORS) || 100,
+      workerMaxHeapMb: parseInt(process.env.WORKER_MAX_HEAP_MB) || null,
+      shadowPercent: process.env.SHADOW_PERCENT !== undefined ? parseFloat(process.env.SHADOW_PERCENT) : 10,
+      shadowMaxPending: parseInt(process.env.SHADOW_MAX_PENDING) || 4,
+      metrics: this.metrics,
+      logger: this.logger
+    });
     
     this.queueManager = new QueueManager({
       concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 5,
-      timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000
+      timeout: parseInt(process.env.REQUEST_TIMEOUT) || 30000,
+      maxQueueLength: parseInt(process.env.MAX_QUEUE_LENGTH) || 1000
+    });
+    
+    this.batchProcessor = new BatchProcessor({
+      queueManager: this.queueManager,
+      maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE) || 50,
+      concurrency: parseInt(process.env.BATCH_CONCURRENCY) ||
+        Math.max(1, Math.floor(this.queueManager.concurrency / 2))
+    });
+    
+    this.resultCache = new ResultCache({
+      enabled: process.env.CACHE_ENABLED !== 'false',
+      store: process.env.CACHE_STORE === 'file'
+        ? new FileCacheStore({ directory: process.env.CACHE_DIR || './cache', logger: this.logger })
+        : new MemoryCacheStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 10000 }),
+      ttl: parseInt(process.env.CACHE_TTL) || 24 * 60 * 60 * 1000,
+      urlMaxTtl: parseInt(process.env.CACHE_URL_MAX_TTL) || 60 * 60 * 1000,
+      logger: this.logger
+    });
+    
+    this.videoProcessor = new VideoProcessor({
+      ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+      interval: parseFloat(process.env.VIDEO_FRAME_INTERVAL) || 1,
+      sceneThreshold: parseFloat(process.env.VIDEO_SCENE_THRESHOLD) || null,
+      maxFrames: parseInt(process.env.VIDEO_MAX_FRAMES) || 120,
+      maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || 1024,
+      timeout: parseInt(process.env.VIDEO_TIMEOUT) || 120000,
+      localDir: process.env.VIDEO_LOCAL_DIR
     });
     
+    this.imageRedactor = new ImageRedactor({
+      effect: process.env.REDACT_EFFECT || 'blur',
+      strength: parseInt(process.env.REDACT_STRENGTH) || 50,
+      format: process.env.REDACT_FORMAT || 'jpeg',
+      quality: parseInt(process.env.REDACT_QUALITY) || 80,
+      maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || 1024,
+      metrics: this.metrics
+    });
+    
+    this.hashList = new HashList({
+      file: process.env.HASH_LIST_FILE || './data/hash-list.json',
+      algorithm: process.env.HASH_ALGORITHM || 'phash',
+      threshold: process.env.HASH_MATCH_THRESHOLD !== undefined ? parseInt(process.env.HASH_MATCH_THRESHOLD) : 10
+    });
+    
+    this.jobManager = new JobManager({
+      queueManager: this.queueManager,
+      ttl: parseInt(process.env.JOB_TTL) || 60 * 60 * 1000,
+      webhookSecret: process.env.WEBHOOK_SECRET,
+      callbackTimeout: parseInt(process.env.CALLBACK_TIMEOUT) || 10000,
+      callbackMaxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 5,
+      callbackBackoff: parseInt(process.env.CALLBACK_BACKOFF) || 1000,
+      urlPolicy: this.imageProcessor.urlPolicy,
+      logger: this.logger
+    });
+    
+    this.metrics.track({ queueManager: this.queueManager, nsfwAnalyzer: this.nsfwAnalyzer });
+    
+    this.apiSpec = new ApiSpec({
+      version,
+      models: this.nsfwAnalyzer.listModels(),
+      policies: this.nsfwAnalyzer.listPolicies(),
+      maxBatchSize: this.batchProcessor.maxBatchSize
+    });
+    this.requestValidator = new RequestValidator({ spec: this.apiSpec });
+    
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
+    
+    // Fail at startup rather than serve a document that is missing routes
+    this.apiSpec.checkRoutes(this.app);
   }
 
   /**
    * Setup Express middleware
    */
   setupMiddleware() {
+    // Request IDs and the per-request summary log line
+    this.app.use((req, res, next) => {
+      const incomingId = req.get('X-Request-Id');
+      req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+      req.log = this.logger.child({ requestId: req.id });
+      res.set('X-Request-Id', req.id);
+      
+      // Routes add analysis details (model, cache hit, outcome) to res.locals.log
+      res.locals.log = {};
+      const startedAt = process.hrtime.bigint();
+      res.on('close', () => this.logRequest(req, res, startedAt));
+      next();
+    });
+    
+    // Count and log error responses by type; every error body goes out through res.json
+    this.app.use((req, res, next) => {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (body && body.error && body.error.type) {
+          this.metrics.errors.inc({ type: body.error.type });
+          res.locals.log.error = body.error.type;
+          res.locals.log.errorCode = body.error.code;
+        }
+        return json(body);
+      };
+      next();
+    });
+    
     // CORS
     this.app.use(cors());
     
-    // JSON parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // JSON parsing (sized so a base64 data URI of a max-size upload still fits)
+    this.app.use(express.json({ limit: Math.ceil(this.maxUploadBytes * 4 / 3) + 64 * 1024 }));
     
-    // Request logging
-    this.app.use((req, res, next) => {
-      req.id = Math.random().toString(36).substr(2, 9);
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.url} [${req.id}]`);
-      next();
+    // Upload parsing for multipart/form-data and raw image/* bodies
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: this.maxUploadBytes, files: 1 }
+    });
+    this.batchUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: this.maxUploadBytes, files: this.batchProcessor.maxBatchSize }
     });
+    this.rawImageParser = express.raw({ type: 'image/*', limit: this.maxUploadBytes });
+    
+    // Videos are spooled to disk so the decoder can seek in them
+    this.videoUpload = multer({
+      storage: multer.diskStorage({ destination: os.tmpdir() }),
+      limits: { fileSize: this.maxVideoUploadBytes, files: 1 }
+    });
+    this.rawVideoParser = express.raw({ type: 'video/*', limit: this.maxVideoUploadBytes });
+    // Delete the spooled upload when the response ends, including when validation rejects the request
+    this.removeVideoUpload = (req, res, next) => {
+      if (req.file) {
+        res.on('close', () => this.videoProcessor.removeTempVideo(req.file.path).catch(error => {
+          req.log.warn('Could not delete uploaded video', { error: error.message });
+        }));
+      }
+      next();
+    };
+    
+    // Check bodies and query strings against the OpenAPI document; goes after the upload parsers
+    this.validateRequest = this.requestValidator.middleware();
+    
+    // API key authentication and rate limiting, a no-op without API_KEYS_FILE.
+    // `quota` is what the request counts against the key's daily quota.
+    this.requireApiKey = ({ quota = 0 } = {}) => (req, res, next) => {
+      if (!this.apiKeys.enabled) {
+        return next();
+      }
+      
+      const record = this.apiKeys.authenticate(this.getApiKey(req));
+      if (!record) {
+        return ErrorHandler.handleAuthError(req, res, 'A valid API key is required in the X-API-Key header');
+      }
+      
+      const { allowed, reason, retryAfter } = this.apiKeys.consume(record, { quota });
+      res.set(this.apiKeys.getHeaders(record));
+      if (!allowed) {
+        return ErrorHandler.handleRateLimitError(req, res, reason, retryAfter);
+      }
+      
+      req.apiKey = record;
+      if (quota > 0) {
+        this.refundQuotaOnClientError(req, res, quota);
+      }
+      next();
+    };
+    
+    // Backpressure: refuse new work before reading the upload when the queue is full
+    this.checkQueueCapacity = (req, res, next) => {
+      try {
+        this.queueManager.checkCapacity();
+        next();
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    };
+    
+    // Admin routes need `Authorization: Bearer <ADMIN_TOKEN>` and are disabled without it
+    this.requireAdmin = (req, res, next) => {
+      if (!this.adminToken) {
+        return ErrorHandler.handleAuthError(req, res, 'Admin routes are disabled: ADMIN_TOKEN is not configured', 403);
+      }
+      
+      const [scheme, token] = (req.get('authorization') || '').split(' ');
+      const expected = Buffer.from(this.adminToken);
+      const given = Buffer.from(token || '');
+      if (scheme !== 'Bearer' || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return ErrorHandler.handleAuthError(req, res, 'A valid admin bearer token is required');
+      }
+      
+      next();
+    };
   }
 
   /**
    * Setup API routes
    */
   setupRoutes() {
+    // Liveness: the process is up and its event loop is responding
+    this.app.get('/livez', (req, res) => {
+      res.json(ErrorHandler.createSuccessResponse({ status: 'alive', uptime: Date.now() - this.startTime }, req));
+    });
+
+    // Readiness: every model is loaded and warmed up, and the server is not shutting down
+    this.app.get('/readyz', (req, res) => {
+      const { ready, state } = this.nsfwAnalyzer.getReadiness();
+      const models = this.nsfwAnalyzer.getModelStatus().models;
+      
+      if (this.shuttingDown) {
+        return ErrorHandler.sendErrorResponse(new NotReadyError('The server is shutting down.', { code: 'SHUTTING_DOWN' }), req, res);
+      }
+      if (!ready) {
+        const error = state === 'loading'
+          ? new NotReadyError('The models are still loading.', { code: 'MODELS_LOADING', details: { state, models } })
+          : new NotReadyError('One or more models failed to load.', { code: 'MODELS_FAILED', retryable: false, details: { state, models } });
+        return ErrorHandler.sendErrorResponse(error, req, res);
+      }
+      
+      res.json(ErrorHandler.createSuccessResponse({ status: 'ready', models }, req));
+    });
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       try {
@@ -62,81 +352,430 @@ class NSFWImageAPI {
         const uptime = Date.now() - this.startTime;
         
         const healthData = {
-          status: 'healthy',
+          status: this.getHealthStatus(),
           uptime: uptime,
           model: modelStatus,
           queue: queueHealth,
+          workers: this.nsfwAnalyzer.getWorkerStats(),
           timestamp: new Date().toISOString()
         };
         
         const response = ErrorHandler.createSuccessResponse(healthData, req);
         res.json(response);
       } catch (error) {
-        const errorResponse = ErrorHandler.createErrorResponse(error, req);
-        res.status(500).json(errorResponse);
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Prometheus metrics
+    this.app.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', this.metrics.registry.contentType);
+        res.send(await this.metrics.render());
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
       }
     });
 
+    // OpenAPI document and its docs page
+    this.app.get('/openapi.json', (req, res) => {
+      res.json(this.apiSpec.getDocument());
+    });
+
+    this.app.get('/docs', (req, res) => {
+      res.type('html').send(DOCS_PAGE);
+    });
+    this.app.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
     // Image analysis endpoint
-    this.app.post('/analyze', async (req, res) => {
+    this.app.post('/analyze', this.requireApiKey({ quota: 1 }), this.checkQueueCapacity, this.upload.single('file'), this.rawImageParser, this.validateRequest, async (req, res) => {
       try {
-        // Validate request body
-        if (!req.body || !req.body.url) {
-          return ErrorHandler.handleValidationError(req, res, 'URL is required in request body');
+        const { source, error } = this.getImageSource(req);
+        if (error) {
+          return ErrorHandler.handleValidationError(req, res, error);
         }
 
-        const { url } = req.body;
+        const options = this.getAnalysisOptions(this.getRequestParams(req), req.apiKey);
+        const optionsError = this.validateAnalysisOptions(options);
+        if (optionsError) {
+          return ErrorHandler.handleValidationError(req, res, optionsError);
+        }
         
-        // Add task to queue
-        const result = await this.queueManager.addTask(async () => {
-          // Process image
-          const imageBuffer = await this.imageProcessor.processImage(url);
-          
-          // Analyze image
-          const analysisResult = await this.nsfwAnalyzer.analyzeImage(imageBuffer);
-          
-          // Get additional insights
-          const mostLikely = this.nsfwAnalyzer.getMostLikelyClassification(analysisResult.predictions);
-          const safetyAssessment = this.nsfwAnalyzer.assessSafety(analysisResult.predictions);
-          
-          return {
-            ...analysisResult,
-            insights: {
-              mostLikelyClassification: mostLikely,
-              safetyAssessment: safetyAssessment
-            }
-          };
+        this.logSource(res, source);
+        
+        // Add task to queue; it is dropped if the client disconnects while it waits
+        const result = await this.queueManager.addTask(({ signal }) => this.analyzeSource(source, options, signal), {
+          priority: options.priority,
+          signal: this.createRequestSignal(res)
+        });
+        Object.assign(res.locals.log, this.getResultLogFields(result));
+
+        const response = ErrorHandler.createSuccessResponse(result, req);
+        res.json(response);
+        
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Batch analysis endpoint
+    this.app.post('/analyze/batch', this.requireApiKey(), this.checkQueueCapacity, this.batchUpload.array('files'), this.validateRequest, async (req, res) => {
+      try {
+        const { items, error } = this.getBatchItems(req);
+        if (error) {
+          return ErrorHandler.handleValidationError(req, res, error);
+        }
+
+        // Batches count every item against the daily quota
+        if (req.apiKey) {
+          const { allowed, reason, retryAfter } = this.apiKeys.consume(req.apiKey, { tokens: 0, quota: items.length });
+          res.set(this.apiKeys.getHeaders(req.apiKey));
+          if (!allowed) {
+            return ErrorHandler.handleRateLimitError(req, res, reason, retryAfter);
+          }
+          this.refundQuotaOnClientError(req, res, items.length);
+        }
+
+        const options = this.getAnalysisOptions(this.getRequestParams(req), req.apiKey);
+        const optionsError = this.validateAnalysisOptions(options);
+        if (optionsError) {
+          return ErrorHandler.handleValidationError(req, res, optionsError);
+        }
+
+        const results = await this.batchProcessor.run(items, (source, { signal }) => this.analyzeSource(source, options, signal), {
+          priority: options.priority,
+          signal: this.createRequestSignal(res)
+        });
+        results.filter(result => !result.success).forEach(result => this.metrics.errors.inc({ type: result.error.type }));
+
+        const summary = this.batchProcessor.summarize(results);
+        Object.assign(res.locals.log, { items: summary.total, succeeded: summary.succeeded, failed: summary.failed });
+
+        const response = ErrorHandler.createSuccessResponse(summary, req);
+        res.json(response);
+        
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Redaction endpoint: analyze, then return a censored preview if the policy flags the image
+    this.app.post('/redact', this.requireApiKey({ quota: 1 }), this.checkQueueCapacity, this.upload.single('file'), this.rawImageParser, this.validateRequest, async (req, res) => {
+      try {
+        const { source, error } = this.getImageSource(req);
+        if (error) {
+          return ErrorHandler.handleValidationError(req, res, error);
+        }
+
+        const params = this.getRequestParams(req);
+        const options = this.getAnalysisOptions(params, req.apiKey);
+        const optionsError = this.validateAnalysisOptions(options);
+        if (optionsError) {
+          return ErrorHandler.handleValidationError(req, res, optionsError);
+        }
+        const redaction = this.imageRedactor.resolveOptions(params);
+        
+        this.logSource(res, source);
+        
+        const { result, redacted, preview } = await this.queueManager.addTask(({ signal }) => this.redactSource(source, options, redaction, signal), {
+          priority: options.priority,
+          signal: this.createRequestSignal(res)
+        });
+        Object.assign(res.locals.log, this.getResultLogFields(result), { redacted });
+
+        const { safetyAssessment } = result.insights;
+        if (params.response === 'json') {
+          const response = ErrorHandler.createSuccessResponse({
+            redacted,
+            outcome: safetyAssessment.outcome,
+            policy: safetyAssessment.policy,
+            effect: redacted ? redaction.effect : null,
+            format: redaction.format,
+            width: preview.width,
+            height: preview.height,
+            image: `data:${preview.contentType};base64,${preview.buffer.toString('base64')}`,
+            analysis: result
+          }, req);
+          return res.json(response);
+        }
+
+        res.set({
+          'Content-Type': preview.contentType,
+          'X-Redacted': String(redacted),
+          'X-Moderation-Outcome': safetyAssessment.outcome,
+          'X-Moderation-Policy': safetyAssessment.policy,
+          // Let browser clients read the outcome of cross-origin requests
+          'Access-Control-Expose-Headers': 'X-Redacted, X-Moderation-Outcome, X-Moderation-Policy, X-Request-Id'
+        });
+        res.send(preview.buffer);
+        
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Video analysis endpoint
+    this.app.post('/analyze/video', this.requireApiKey({ quota: 1 }), this.checkQueueCapacity, this.videoUpload.single('file'), this.removeVideoUpload, this.rawVideoParser, this.validateRequest, async (req, res) => {
+      let tempPath = null;
+      try {
+        const params = this.getRequestParams(req);
+        let videoPath;
+
+        if (req.file) {
+          videoPath = req.file.path;
+        } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+          videoPath = tempPath = await this.videoProcessor.writeTempVideo(req.body);
+        } else if (params.path) {
+          videoPath = this.videoProcessor.resolveLocalPath(params.path);
+          if (!videoPath) {
+            return ErrorHandler.handleValidationError(req, res, 'path must be a file inside VIDEO_LOCAL_DIR (local files are disabled when it is not set)');
+          }
+        } else {
+          return ErrorHandler.handleValidationError(req, res, 'Provide a video as a multipart file field, a raw video/* body, or a local path');
+        }
+
+        const options = this.getAnalysisOptions(params, req.apiKey);
+        const optionsError = this.validateAnalysisOptions(options);
+        if (optionsError) {
+          return ErrorHandler.handleValidationError(req, res, optionsError);
+        }
+
+        const interval = params.interval !== undefined ? parseFloat(params.interval) : undefined;
+        if (interval !== undefined && !(interval > 0)) {
+          return ErrorHandler.handleValidationError(req, res, 'interval must be a positive number of seconds');
+        }
+
+        const sceneThreshold = params.sceneThreshold !== undefined ? parseFloat(params.sceneThreshold) : undefined;
+        if (sceneThreshold !== undefined && !(sceneThreshold > 0 && sceneThreshold < 1)) {
+          return ErrorHandler.handleValidationError(req, res, 'sceneThreshold must be between 0 and 1');
+        }
+
+        const result = await this.analyzeVideo(videoPath, { interval, sceneThreshold }, {
+          ...options,
+          signal: this.createRequestSignal(res)
         });
+        Object.assign(res.locals.log, { model: result.model, frames: result.frames });
 
         const response = ErrorHandler.createSuccessResponse(result, req);
         res.json(response);
         
       } catch (error) {
-        const errorResponse = ErrorHandler.createErrorResponse(error, req);
-        const statusCode = errorResponse.error.statusCode;
-        res.status(statusCode).json(errorResponse);
+        ErrorHandler.sendErrorResponse(error, req, res);
+      } finally {
+        if (tempPath) {
+          await this.videoProcessor.removeTempVideo(tempPath);
+        }
+      }
+    });
+
+    // Create an asynchronous analysis job
+    this.app.post('/jobs', this.requireApiKey({ quota: 1 }), this.checkQueueCapacity, this.upload.single('file'), this.rawImageParser, this.validateRequest, async (req, res) => {
+      try {
+        const { source, error } = this.getImageSource(req);
+        if (error) {
+          return ErrorHandler.handleValidationError(req, res, error);
+        }
+
+        const params = this.getRequestParams(req);
+        const { callbackUrl } = params;
+        const options = this.getAnalysisOptions(params, req.apiKey);
+        const optionsError = this.validateAnalysisOptions(options);
+        if (optionsError) {
+          return ErrorHandler.handleValidationError(req, res, optionsError);
+        }
+
+        if (callbackUrl !== undefined) {
+          if (!this.imageProcessor.isValidUrl(callbackUrl)) {
+            return ErrorHandler.handleValidationError(req, res, 'callbackUrl must be an http(s) URL');
+          }
+          if (!this.jobManager.webhookSecret) {
+            return ErrorHandler.handleValidationError(req, res, 'callbackUrl requires WEBHOOK_SECRET to be configured on the server');
+          }
+        }
+
+        this.logSource(res, source);
+        
+        const job = await this.jobManager.createJob(({ signal }) => this.analyzeSource(source, options, signal), {
+          callbackUrl,
+          metadata: { model: this.nsfwAnalyzer.resolveModelId(options.model) },
+          priority: options.priority
+        });
+        res.locals.log.jobId = job.id;
+
+        const response = ErrorHandler.createSuccessResponse(job, req, 202);
+        res.status(202).location(`/jobs/${job.id}`).json(response);
+        
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Get job status and result
+    this.app.get('/jobs/:id', this.requireApiKey(), async (req, res) => {
+      try {
+        const job = await this.jobManager.getJob(req.params.id);
+        const response = ErrorHandler.createSuccessResponse(job, req);
+        res.json(response);
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
       }
     });
 
     // Get queue statistics
-    this.app.get('/queue/stats', (req, res) => {
+    this.app.get('/queue/stats', this.requireApiKey(), async (req, res) => {
       try {
-        const stats = this.queueManager.getStats();
+        const stats = {
+          ...this.queueManager.getStats(),
+          inference: this.nsfwAnalyzer.getBatchStats(),
+          cache: await this.resultCache.getStats(),
+          // Callers only see their own key; GET /admin/api-keys lists every key
+          apiKeys: this.apiKeys.getUsage(req.apiKey ? [req.apiKey] : [])
+        };
         const response = ErrorHandler.createSuccessResponse(stats, req);
         res.json(response);
       } catch (error) {
-        const errorResponse = ErrorHandler.createErrorResponse(error, req);
-        res.status(500).json(errorResponse);
+        ErrorHandler.sendErrorResponse(error, req, res);
       }
     });
 
-    // Get image metadata without analysis
-    this.app.post('/metadata', async (req, res) => {
+    // Usage of every API key
+    this.app.get('/admin/api-keys', this.requireAdmin, (req, res) => {
+      res.json(ErrorHandler.createSuccessResponse(this.apiKeys.getUsage(), req));
+    });
+
+    // Stop or restart dispatching queued tasks
+    this.app.post('/admin/queue/pause', this.requireAdmin, (req, res) => {
+      this.queueManager.pause();
+      res.json(ErrorHandler.createSuccessResponse(this.queueManager.getStats(), req));
+    });
+
+    this.app.post('/admin/queue/resume', this.requireAdmin, (req, res) => {
+      this.queueManager.resume();
+      res.json(ErrorHandler.createSuccessResponse(this.queueManager.getStats(), req));
+    });
+
+    // Model versions and shadow candidates
+    this.app.get('/admin/models', this.requireAdmin, (req, res) => {
+      const response = ErrorHandler.createSuccessResponse({
+        defaultModel: this.nsfwAnalyzer.resolveModelId(),
+        models: this.nsfwAnalyzer.getModelStates(),
+        shadow: this.nsfwAnalyzer.getShadowStats()
+      }, req);
+      res.json(response);
+    });
+
+    // Load a new version of a model and switch traffic to it
+    this.app.post('/admin/models/:id/reload', this.requireAdmin, this.validateRequest, async (req, res) => {
+      try {
+        const model = await this.nsfwAnalyzer.reloadModel(this.getAdminModelId(req), req.body.path);
+        res.json(ErrorHandler.createSuccessResponse(model, req));
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Load a shadow candidate and start comparing it on a share of requests
+    this.app.post('/admin/models/:id/candidate', this.requireAdmin, this.validateRequest, async (req, res) => {
       try {
-        if (!req.body || !req.body.url) {
-          return ErrorHandler.handleValidationError(req, res, 'URL is required in request body');
+        const result = await this.nsfwAnalyzer.setCandidate(this.getAdminModelId(req), req.body.path, req.body.percent);
+        res.json(ErrorHandler.createSuccessResponse(result, req));
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Stop shadowing and unload the candidate
+    this.app.delete('/admin/models/:id/candidate', this.requireAdmin, async (req, res) => {
+      try {
+        const result = await this.nsfwAnalyzer.removeCandidate(this.getAdminModelId(req));
+        res.json(ErrorHandler.createSuccessResponse(result, req));
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Make the candidate the serving version
+    this.app.post('/admin/models/:id/candidate/promote', this.requireAdmin, async (req, res) => {
+      try {
+        const result = await this.nsfwAnalyzer.promoteCandidate(this.getAdminModelId(req));
+        res.json(ErrorHandler.createSuccessResponse(result, req));
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // List hash list entries
+    this.app.get('/admin/hashes', this.requireAdmin, this.validateRequest, (req, res) => {
+      const { list } = req.query;
+      if (list !== undefined && !HashList.isValidList(list)) {
+        return ErrorHandler.handleValidationError(req, res, 'list must be "block" or "allow"');
+      }
+      
+      const response = ErrorHandler.createSuccessResponse({
+        ...this.hashList.getStats(),
+        entries: this.hashList.list(list)
+      }, req);
+      res.json(response);
+    });
+
+    // Add a hash list entry from an image or precomputed hashes
+    this.app.post('/admin/hashes', this.requireAdmin, this.upload.single('file'), this.rawImageParser, this.validateRequest, async (req, res) => {
+      try {
+        const params = this.getRequestParams(req);
+        const { list, label } = params;
+        if (!HashList.isValidList(list)) {
+          return ErrorHandler.handleValidationError(req, res, 'list must be "block" or "allow"');
+        }
+        
+        let hashes;
+        if (params.phash !== undefined || params.dhash !== undefined) {
+          hashes = { phash: params.phash, dhash: params.dhash };
+          const invalid = Object.entries(hashes).find(([, hash]) => hash !== undefined && !PerceptualHash.isValid(hash));
+          if (invalid) {
+            return ErrorHandler.handleValidationError(req, res, `${invalid[0]} must be a 16-character hex string`);
+          }
+          if (!hashes[this.hashList.algorithm]) {
+            return ErrorHandler.handleValidationError(req, res, `${this.hashList.algorithm} is required because HASH_ALGORITHM is ${this.hashList.algorithm}`);
+          }
+        } else {
+          const { source, error } = this.getImageSource(req);
+          if (error) {
+            return ErrorHandler.handleValidationError(req, res, `${error}, or precomputed phash/dhash values`);
+          }
+          
+          const { buffer } = await this.imageProcessor.loadImage(source);
+          hashes = await PerceptualHash.compute(buffer);
         }
+        
+        const entry = await this.hashList.add({ list, label, ...hashes });
+        
+        const response = ErrorHandler.createSuccessResponse(entry, req, 201);
+        res.status(201).json(response);
+        
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
 
+    // Remove a hash list entry
+    this.app.delete('/admin/hashes/:id', this.requireAdmin, async (req, res) => {
+      try {
+        if (!(await this.hashList.remove(req.params.id))) {
+          throw new NotFoundError('No hash list entry exists with the given ID.', {
+            type: 'HASH_ENTRY_NOT_FOUND', code: 'HASH_ENTRY_NOT_FOUND'
+          });
+        }
+        
+        const response = ErrorHandler.createSuccessResponse({ id: req.params.id, deleted: true }, req);
+        res.json(response);
+      } catch (error) {
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+
+    // Get image metadata without analysis
+    this.app.post('/metadata', this.requireApiKey(), this.validateRequest, async (req, res) => {
+      try {
         const { url } = req.body;
         const metadata = await this.imageProcessor.getImageMetadata(url);
         
@@ -144,13 +783,544 @@ class NSFWImageAPI {
         res.json(response);
         
       } catch (error) {
-        const errorResponse = ErrorHandler.createErrorResponse(error, req);
-        const statusCode = errorResponse.error.statusCode;
-        res.status(statusCode).json(errorResponse);
+        ErrorHandler.sendErrorResponse(error, req, res);
+      }
+    });
+  }
+
+  /**
+   * Process and analyze a single image
+   * @param {string|Buffer} source - Image URL or image bytes
+   * @param {Object} options - Analysis options from getAnalysisOptions
+   * @param {AbortSignal} [signal] - Queue task signal; the download is aborted and the
+   *   remaining steps are skipped once it fires
+   * @param {Object} [loaded] - `{ buffer, headers }` from loadImage when the caller has
+   *   already fetched the source; it is analyzed as is, without the URL cache lookup
+   * @returns {Promise<Object>} Analysis result with insights
+   */
+  async analyzeSource(source, options = {}, signal, loaded) {
+    const { model, policy } = options;
+    const modelId = this.nsfwAnalyzer.resolveModelId(model);
+    const tiling = options.mode === 'tiles' ? this.imageProcessor.resolveTiling(options) : null;
+    const useCache = this.resultCache.enabled && options.cache !== false;
+    const isUrl = typeof source === 'string';
+    
+    // A URL whose cache headers are still fresh skips the download as well
+    const urlHit = useCache && isUrl && !loaded ? await this.resultCache.getByUrl(source, this.getCacheKey(modelId, tiling)) : null;
+    
+    let analysisResult;
+    // Whole images that ran through the model may also go to a shadow candidate
+    let shadowInput = null;
+    if (urlHit) {
+      // The cached result may predate a list entry, so check it again
+      const hashMatch = this.hashList.match(urlHit.result.perceptualHash);
+      if (hashMatch) {
+        return this.createHashMatchResult(hashMatch, urlHit.result.perceptualHash, policy);
+      }
+      analysisResult = { ...urlHit.result, cached: true };
+    } else {
+      const { buffer: imageBuffer, headers } = loaded || await this.imageProcessor.loadImage(source, { signal });
+      this.throwIfAborted(signal);
+      
+      // Known images on the block/allow lists are decided without running the model
+      const perceptualHash = await PerceptualHash.compute(imageBuffer);
+      const hashMatch = this.hashList.match(perceptualHash);
+      if (hashMatch) {
+        return this.createHashMatchResult(hashMatch, perceptualHash, policy);
+      }
+      
+      const { result, contentHash, processedBuffer } = await this.analyzeImageBuffer(imageBuffer, modelId, useCache, perceptualHash, tiling, signal);
+      analysisResult = result;
+      shadowInput = tiling || result.cached ? null : processedBuffer;
+      
+      if (useCache && isUrl) {
+        await this.resultCache.setUrl(source, contentHash, headers);
+      }
+    }
+    
+    // Get additional insights
+    const mostLikely = this.nsfwAnalyzer.getMostLikelyClassification(analysisResult.predictions);
+    const safetyAssessment = this.nsfwAnalyzer.assessSafety(analysisResult.predictions, policy);
+    this.metrics.assessments.inc({ policy: safetyAssessment.policy, outcome: safetyAssessment.outcome });
+    
+    if (shadowInput) {
+      this.nsfwAnalyzer.shadowAnalyze(shadowInput, modelId, analysisResult.predictions, safetyAssessment.policy);
+    }
+    
+    return {
+      ...analysisResult,
+      insights: {
+        mostLikelyClassification: mostLikely,
+        safetyAssessment: safetyAssessment
+      }
+    };
+  }
+
+  /**
+   * Analyze an image and render its preview, redacted when the policy
+   * outcome is block or review
+   * @param {string|Buffer} source - Image URL or image bytes
+   * @param {Object} options - Analysis options from getAnalysisOptions
+   * @param {Object} redaction - Settings from ImageRedactor.resolveOptions
+   * @param {AbortSignal} [signal] - Queue task signal
+   * @returns {Promise<Object>} `{ result, redacted, preview }` with the analysis result and the rendered image
+   */
+  async redactSource(source, options, redaction, signal) {
+    // The bytes are needed for the preview, so URLs are downloaded up front
+    const loaded = await this.imageProcessor.loadImage(source, { signal });
+    this.throwIfAborted(signal);
+    
+    // Fetched URLs are held to MAX_DOWNLOAD_SIZE only, as on /analyze
+    const result = await this.analyzeSource(source, options, signal, loaded);
+    this.throwIfAborted(signal);
+    
+    const redacted = ['block', 'review'].includes(result.insights.safetyAssessment.outcome);
+    const preview = redacted
+      ? await this.imageRedactor.redact(loaded.buffer, redaction)
+      : await this.imageRedactor.transcode(loaded.buffer, redaction);
+    
+    return { result, redacted, preview };
+  }
+
+  /**
+   * Build the response for an image decided by a hash list match
+   * @param {Object} hashMatch - Match from HashList.match
+   * @param {Object} perceptualHash - `{ phash, dhash }` of the image
+   * @param {string} [policy] - Policy name
+   * @returns {Object} Analysis result without predictions
+   */
+  createHashMatchResult(hashMatch, perceptualHash, policy) {
+    const safetyAssessment = this.nsfwAnalyzer.assessHashMatch(hashMatch, policy);
+    this.metrics.assessments.inc({ policy: safetyAssessment.policy, outcome: safetyAssessment.outcome });
+    
+    return {
+      success: true,
+      model: null,
+      predictions: null,
+      perceptualHash,
+      hashMatch,
+      cached: false,
+      timestamp: new Date().toISOString(),
+      insights: {
+        mostLikelyClassification: null,
+        safetyAssessment
+      }
+    };
+  }
+
+  /**
+   * Analyze original image bytes, serving repeat content from the result cache
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {string} modelId - Resolved model ID
+   * @param {boolean} useCache - Whether to read and write the result cache
+   * @param {Object} [perceptualHash] - Image hashes, stored with the result so URL shortcuts can still be checked against the hash lists
+   * @param {Object} [tiling] - `{ grid, overlap }` to analyze overlapping tiles instead of the whole image
+   * @param {AbortSignal} [signal] - Queue task signal, checked between preprocessing and inference
+   * @returns {Promise<Object>} `{ result, contentHash, processedBuffer }`; processedBuffer is null for animated images
+   */
+  async analyzeImageBuffer(imageBuffer, modelId, useCache, perceptualHash, tiling, signal) {
+    const sampling = await this.imageProcessor.sampleFrames(imageBuffer);
+    const isAnimated = sampling.totalFrames > 1;
+    
+    // Single images are keyed by their processed bytes; animated ones by the
+    // original bytes plus the sampling settings that shape the result
+    const processedBuffer = isAnimated ? null : await this.imageProcessor.prepareImage(imageBuffer);
+    const contentHash = isAnimated
+      ? ResultCache.hash(imageBuffer, `frames:${JSON.stringify(this.imageProcessor.frameSampling)}:${this.nsfwAnalyzer.frameAggregation}`)
+      : ResultCache.hash(processedBuffer);
+    
+    const cacheKey = this.getCacheKey(modelId, tiling);
+    
+    if (useCache) {
+      const cached = await this.resultCache.get(contentHash, cacheKey);
+      if (cached) {
+        return { result: { ...cached, cached: true }, contentHash, processedBuffer };
       }
+    }
+    
+    this.throwIfAborted(signal);
+    
+    let result;
+    if (tiling) {
+      // Tiles are cut from the original bytes so small regions keep their detail
+      const layout = await this.imageProcessor.planTiles(imageBuffer, tiling);
+      result = await this.nsfwAnalyzer.analyzeTiles(
+        layout,
+        (tile) => {
+          this.throwIfAborted(signal);
+          return this.imageProcessor.extractTile(imageBuffer, tile);
+        },
+        modelId
+      );
+    } else if (isAnimated) {
+      // Animated GIF/WebP: analyze the sampled frames and aggregate
+      result = await this.nsfwAnalyzer.analyzeFrames(
+        sampling,
+        (index) => {
+          this.throwIfAborted(signal);
+          return this.imageProcessor.extractFrame(imageBuffer, index);
+        },
+        modelId
+      );
+    } else {
+      result = await this.nsfwAnalyzer.analyzeImage(processedBuffer, modelId);
+    }
+    
+    if (perceptualHash) {
+      result = { ...result, perceptualHash };
+    }
+    
+    if (useCache) {
+      await this.resultCache.set(contentHash, cacheKey, result);
+    }
+    
+    return { result: { ...result, cached: false }, contentHash, processedBuffer };
+  }
+
+  /**
+   * Build the result cache key for a model version and analysis mode, so
+   * tiles results never answer whole-image requests or the other way round,
+   * and results of a reloaded model's previous version are not served
+   * @param {string} modelId - Resolved model ID
+   * @param {Object} [tiling] - `{ grid, overlap }` in tiles mode
+   * @returns {string} Model ID and version, plus the tile settings in tiles mode
+   */
+  getCacheKey(modelId, tiling) {
+    const model = `${modelId}@${this.nsfwAnalyzer.getModelVersion(modelId)}`;
+    return tiling ? `${model}:tiles:${tiling.grid}:${tiling.overlap}` : model;
+  }
+
+  /**
+   * Sample frames from a video and analyze each one through the queue
+   * @param {string} videoPath - Path to the video file
+   * @param {Object} samplingOptions - Sampling options (`interval` or `sceneThreshold`)
+   * @param {Object} options - Analysis options from getAnalysisOptions, plus an optional abort `signal`
+   * @returns {Promise<Object>} Per-frame timeline and flagged segments
+   */
+  async analyzeVideo(videoPath, samplingOptions, options = {}) {
+    const { model, policy, priority, signal } = options;
+    const sampling = this.videoProcessor.resolveSampling(samplingOptions);
+
+    // Decoding is CPU-heavy, so it takes a queue slot like any other task
+    const frames = await this.queueManager.addTask(
+      (task) => this.videoProcessor.extractFrames(videoPath, { ...sampling, signal: task.signal }),
+      { timeout: this.videoProcessor.timeout + 5000, priority, signal }
+    );
+
+    const items = frames.map(frame => ({ source: frame.buffer, ref: { time: frame.time } }));
+    const results = await this.batchProcessor.run(items, (frameBuffer) => this.nsfwAnalyzer.analyzeImage(frameBuffer, model), { priority, signal });
+
+    const timeline = results.map(result => (result.success
+      ? { time: result.time, predictions: result.data.predictions }
+      : { time: result.time, error: result.error }));
+
+    return {
+      success: true,
+      model: this.nsfwAnalyzer.resolveModelId(model),
+      sampling,
+      frames: timeline.length,
+      timeline,
+      policy: this.nsfwAnalyzer.resolvePolicyName(policy),
+      flaggedSegments: this.nsfwAnalyzer.findFlaggedSegments(timeline, policy),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Pick the analysis options out of request parameters
+   * @param {Object} params - Request parameters from getRequestParams
+   * @param {Object} [apiKey] - Authenticated API key record
+   * @returns {Object} Analysis options
+   */
+  getAnalysisOptions(params, apiKey) {
+    const priority = params.priority !== undefined ? Number(params.priority) : 0;
+
+    return {
+      model: params.model,
+      policy: params.policy,
+      // Form fields and query strings carry booleans as strings
+      cache: !(params.cache === false || params.cache === 'false'),
+      // Capped at what the caller's API key allows
+      priority: Number.isInteger(priority) ? this.apiKeys.resolvePriority(apiKey, priority) : priority,
+      mode: params.mode || 'full',
+      grid: params.grid !== undefined ? Number(params.grid) : undefined,
+      overlap: params.overlap !== undefined ? Number(params.overlap) : undefined
+    };
+  }
+
+  /**
+   * Summarize service health for /health
+   * @returns {string} `healthy`, `starting` while models load, `degraded` when
+   *   only the default model works, `unhealthy` when it failed, or `shutting_down`
+   */
+  getHealthStatus() {
+    if (this.shuttingDown) {
+      return 'shutting_down';
+    }
+    
+    const { state } = this.nsfwAnalyzer.getReadiness();
+    return { ready: 'healthy', loading: 'starting', degraded: 'degraded', failed: 'unhealthy' }[state];
+  }
+
+  /**
+   * Write the summary log line for a finished or aborted request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {bigint} startedAt - process.hrtime.bigint() when the request arrived
+   */
+  logRequest(req, res, startedAt) {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    
+    req.log[level]('Request completed', {
+      method: req.method,
+      // The query string can carry image URLs, so only the path is logged
+      path: req.originalUrl.split('?')[0],
+      status,
+      latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      aborted: !res.writableFinished,
+      apiKey: req.apiKey ? req.apiKey.id : undefined,
+      ...res.locals.log
     });
   }
 
+  /**
+   * Add the analyzed image's URL (redacted if configured) to the request log line
+   * @param {Object} res - Express response object
+   * @param {string|Buffer} source - Image URL or image bytes
+   */
+  logSource(res, source) {
+    if (typeof source === 'string') {
+      res.locals.log.url = this.logger.redactUrl(source);
+    } else {
+      res.locals.log.bytes = source.length;
+    }
+  }
+
+  /**
+   * Pick the analysis details that go into the request log line
+   * @param {Object} result - Result from analyzeSource
+   * @returns {Object} Model, cache hit, policy outcome and hash list match
+   */
+  getResultLogFields(result) {
+    const { safetyAssessment } = result.insights;
+    return {
+      model: result.model,
+      cached: result.cached,
+      policy: safetyAssessment.policy,
+      outcome: safetyAssessment.outcome,
+      hashMatch: result.hashMatch ? result.hashMatch.matchedList : undefined
+    };
+  }
+
+  /**
+   * Stop work whose queue task has timed out or been cancelled
+   * @param {AbortSignal} [signal] - Queue task signal
+   * @throws {Error} The signal's reason when it has fired
+   */
+  throwIfAborted(signal) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+  }
+
+  /**
+   * Create an AbortSignal that fires when the client disconnects before
+   * the response is sent, so its queued work can be dropped
+   * @param {Object} res - Express response object
+   * @returns {AbortSignal} Signal for queue task options
+   */
+  createRequestSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+    return controller.signal;
+  }
+
+  /**
+   * Return a request's quota if it is rejected as a client error, e.g. by
+   * validation or for an unreadable image. Timeouts (408) still count.
+   * @param {Object} req - Express request object with `apiKey`
+   * @param {Object} res - Express response object
+   * @param {number} quota - Quota units the request was charged
+   */
+  refundQuotaOnClientError(req, res, quota) {
+    const { day } = req.apiKey.usage;
+    res.on('finish', () => {
+      if (res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 408) {
+        this.apiKeys.refund(req.apiKey, quota, day);
+      }
+    });
+  }
+
+  /**
+   * Get the API key presented with a request
+   * @param {Object} req - Express request object
+   * @returns {string|null} API key from `X-API-Key` or `Authorization: Bearer`
+   */
+  getApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) {
+      return header;
+    }
+    
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+  }
+
+  /**
+   * Check requested analysis options against the enabled models and policies
+   * @param {Object} options - Analysis options from getAnalysisOptions
+   * @returns {string|null} Validation message, or null if valid
+   */
+  validateAnalysisOptions(options) {
+    const { model, policy, priority, mode, grid, overlap } = options;
+
+    if (!Number.isInteger(priority)) {
+      return 'priority must be an integer';
+    }
+
+    if (!['full', 'tiles'].includes(mode)) {
+      return 'mode must be one of: full, tiles';
+    }
+
+    if (grid !== undefined && !(Number.isInteger(grid) && grid >= 2 && grid <= ImageProcessor.MAX_TILE_GRID)) {
+      return `grid must be an integer from 2 to ${ImageProcessor.MAX_TILE_GRID}`;
+    }
+
+    if (overlap !== undefined && !(overlap >= 0 && overlap <= ImageProcessor.MAX_TILE_OVERLAP)) {
+      return `overlap must be a number from 0 to ${ImageProcessor.MAX_TILE_OVERLAP}`;
+    }
+
+    if (model !== undefined && !this.nsfwAnalyzer.hasModel(model)) {
+      return `Unknown model "${model}". Available models: ${this.nsfwAnalyzer.listModels().join(', ')}`;
+    }
+
+    if (policy !== undefined && !this.nsfwAnalyzer.hasPolicy(policy)) {
+      return `Unknown policy "${policy}". Available policies: ${this.nsfwAnalyzer.listPolicies().join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get request parameters from the JSON/form body, falling back to the
+   * query string (raw image bodies carry no fields of their own)
+   * @param {Object} req - Express request object
+   * @returns {Object} Request parameters
+   */
+  getRequestParams(req) {
+    const body = req.body && !Buffer.isBuffer(req.body) ? req.body : {};
+    return { ...req.query, ...body };
+  }
+
+  /**
+   * Get the model named in an admin route's `:id`
+   * @param {Object} req - Express request object
+   * @returns {string} Enabled model ID
+   * @throws {NotFoundError} If the model is not enabled
+   */
+  getAdminModelId(req) {
+    if (!this.nsfwAnalyzer.hasModel(req.params.id)) {
+      throw new NotFoundError(`No enabled model is called ${req.params.id}.`, {
+        type: 'MODEL_NOT_FOUND', code: 'MODEL_NOT_FOUND'
+      });
+    }
+    return req.params.id;
+  }
+
+  /**
+   * Resolve the image source for a request: an uploaded file, a raw image
+   * body, a base64 data URI in `image`, or a URL in `url`
+   * @param {Object} req - Express request object
+   * @returns {Object} `{ source }` with a URL or Buffer, or `{ error }` with a validation message
+   */
+  getImageSource(req) {
+    if (req.file) {
+      return { source: req.file.buffer };
+    }
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.body.length === 0) {
+        return { error: 'Request body is empty' };
+      }
+      return { source: req.body };
+    }
+
+    const { url, image } = req.body || {};
+
+    if (image) {
+      const imageBuffer = this.imageProcessor.decodeDataUri(image);
+      if (!imageBuffer) {
+        return { error: 'image must be a base64 data URI (data:image/<type>;base64,...)' };
+      }
+      return { source: imageBuffer };
+    }
+
+    if (!url) {
+      return { error: 'Provide an image as url, image (data URI), a multipart file field, or a raw image/* body' };
+    }
+
+    return { source: url };
+  }
+
+  /**
+   * Normalize batch input: uploaded `files`, or an `items` array of URLs,
+   * `{ url }` or `{ image }` objects. Invalid entries become per-item errors.
+   * @param {Object} req - Express request object
+   * @returns {Object} `{ items }` or `{ error }` with a validation message
+   */
+  getBatchItems(req) {
+    let items;
+
+    if (req.files && req.files.length > 0) {
+      items = req.files.map(file => ({
+        source: file.buffer,
+        ref: { filename: file.originalname }
+      }));
+    } else {
+      const entries = req.body && req.body.items;
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return { error: 'Provide a non-empty items array or upload files in the files field' };
+      }
+
+      items = entries.map(entry => {
+        const { url, image } = typeof entry === 'string' ? { url: entry } : (entry || {});
+
+        if (image) {
+          const imageBuffer = this.imageProcessor.decodeDataUri(image);
+          return imageBuffer
+            ? { source: imageBuffer, ref: {} }
+            : { error: 'image must be a base64 data URI (data:image/<type>;base64,...)', ref: {} };
+        }
+
+        if (!url) {
+          return { error: 'Each item must be a URL string or an object with url or image', ref: {} };
+        }
+
+        return { source: url, ref: { url } };
+      });
+    }
+
+    if (items.length > this.batchProcessor.maxBatchSize) {
+      return { error: `Batch contains ${items.length} items, maximum is ${this.batchProcessor.maxBatchSize}` };
+    }
+
+    return { items };
+  }
+
+  /**
+   * Split a comma-separated environment variable
+   * @param {string} [value] - Raw value
+   * @returns {Array<string>} Trimmed, non-empty entries
+   */
+  parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
   /**
    * Setup error handling middleware
    */
@@ -167,27 +1337,49 @@ class NSFWImageAPI {
    */
   async start() {
     try {
-      console.log('Starting NSFW Image Analysis API...');
+      this.logger.info('Starting NSFW Image Analysis API');
+      
+      if (this.strictModelCheck) {
+        const results = await this.nsfwAnalyzer.checkModelIntegrity();
+        const broken = Object.keys(results).filter(id => !results[id].ok);
+        if (broken.length > 0) {
+          this.logger.error('Exiting because MODEL_CHECK_STRICT is set and model files are invalid', { models: broken });
+          process.exit(1);
+        }
+      }
       
       // Start the server first
       this.server = this.app.listen(this.port, () => {
-        console.log(`🚀 Server running on port ${this.port}`);
-        console.log(`📊 Health check: http://localhost:${this.port}/health`);
-        console.log(`🔍 Analysis endpoint: POST http://localhost:${this.port}/analyze`);
-        console.log(`📈 Queue stats: http://localhost:${this.port}/queue/stats`);
-        console.log(`📋 Metadata endpoint: POST http://localhost:${this.port}/metadata`);
+        this.logger.info('Server listening', {
+          port: Number(this.port),
+          health: `http://localhost:${this.port}/health`,
+          ready: `http://localhost:${this.port}/readyz`,
+          docs: `http://localhost:${this.port}/docs`,
+          metrics: `http://localhost:${this.port}/metrics`
+        });
       });
       
+      // With WAIT_FOR_MODEL, requests queue up (bounded by MAX_QUEUE_LENGTH)
+      // while the models load and run once loading has finished either way
+      if (this.waitForModel) {
+        this.logger.info('Holding queued requests until the models are ready');
+        this.queueManager.pause();
+      }
+      
       // Load the NSFW model in background (non-blocking)
       this.nsfwAnalyzer.loadModel().catch(error => {
-        console.error('Background model loading failed:', error);
+        this.logger.error('Background model loading failed', { error });
+      }).finally(() => {
+        if (this.waitForModel) {
+          this.queueManager.resume();
+        }
       });
       
       // Graceful shutdown handling
       this.setupGracefulShutdown();
       
     } catch (error) {
-      console.error('Failed to start server:', error);
+      this.logger.error('Failed to start server', { error });
       process.exit(1);
     }
   }
@@ -197,21 +1389,24 @@ class NSFWImageAPI {
    */
   setupGracefulShutdown() {
     const shutdown = async (signal) => {
-      console.log(`\n${signal} received. Starting graceful shutdown...`);
+      this.logger.info('Starting graceful shutdown', { signal });
+      this.shuttingDown = true;
       
       // Stop accepting new requests
       this.server.close(async () => {
-        console.log('HTTP server closed');
+        this.logger.info('HTTP server closed');
         
         try {
           // Wait for queue to finish processing
           await this.queueManager.onIdleWithTimeout(10000);
-          console.log('Queue processing completed');
+          this.logger.info('Queue processing completed');
         } catch (error) {
-          console.log('Queue shutdown timeout reached');
+          this.logger.warn('Queue shutdown timeout reached');
         }
+
+        await this.nsfwAnalyzer.close();
         
-        console.log('Graceful shutdown completed');
+        this.logger.info('Graceful shutdown completed');
         process.exit(0);
       });
     };
@@ -224,6 +1419,6 @@ class NSFWImageAPI {
 // Start the server
 const api = new NSFWImageAPI();
 api.start().catch(error => {
-  console.error('Failed to start API:', error);
+  api.logger.error('Failed to start API', { error });
   process.exit(1);
 });
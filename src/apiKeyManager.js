@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const TokenBucket = require('./tokenBucket');
+
+class ApiKeyManager {
+  constructor(config = {}) {
+    // Without a key file authentication is off and every request is let through
+    this.enabled = Boolean(config.file);
+    // Priority cap for keys without maxPriority, and for every caller when authentication is off
+    this.defaultMaxPriority = config.defaultMaxPriority !== undefined ? config.defaultMaxPriority : 0;
+    this.keys = new Map();
+    this.keysByHash = new Map();
+
+    if (this.enabled) {
+      const definition = this.readFile(config.file);
+      const defaults = definition.defaults || {};
+
+      for (const [id, key] of Object.entries(definition.keys || {})) {
+        // rateLimit is merged field by field, so a key can override just its capacity
+        const record = this.createRecord(id, {
+          ...defaults,
+          ...key,
+          rateLimit: { ...defaults.rateLimit, ...key.rateLimit }
+        });
+        this.keys.set(id, record);
+        this.keysByHash.set(record.keyHash, record);
+      }
+
+      if (this.keys.size === 0) {
+        throw new Error('API key configuration failed: no keys defined');
+      }
+    }
+  }
+
+  /**
+   * Read an API key file (.json, .yaml or .yml)
+   * @param {string} file - Path to the key file
+   * @returns {Object} Parsed key definition
+   */
+  readFile(file) {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    return extension === '.yaml' || extension === '.yml'
+      ? YAML.parse(content)
+      : JSON.parse(content);
+  }
+
+  /**
+   * Hash a presented API key
+   * @param {string} key - Plain API key
+   * @returns {string} Hex SHA-256
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Check a key definition and set up its limiter state
+   * @param {string} id - Key ID (shown in stats, never the secret)
+   * @param {Object} key - Key definition merged with the file defaults
+   * @returns {Object} Key record
+   */
+  createRecord(id, key) {
+    const fail = (message) => {
+      throw new Error(`API key configuration failed: ${id}: ${message}`);
+    };
+
+    if (!key.key && !/^[0-9a-f]{64}$/i.test(key.keyHash || '')) {
+      fail('set key, or keyHash as a hex SHA-256 of the key');
+    }
+
+    const rateLimit = key.rateLimit || {};
+    if ((rateLimit.capacity !== undefined && !(rateLimit.capacity >= 1)) ||
+        (rateLimit.refillPerSecond !== undefined && !(rateLimit.refillPerSecond > 0))) {
+      fail('rateLimit needs capacity >= 1 and refillPerSecond > 0');
+    }
+
+    const dailyQuota = key.dailyQuota !== undefined ? key.dailyQuota : null;
+    if (dailyQuota !== null && !(Number.isInteger(dailyQuota) && dailyQuota >= 0)) {
+      fail('dailyQuota must be a non-negative integer');
+    }
+
+    const maxPriority = key.maxPriority !== undefined ? key.maxPriority : null;
+    if (maxPriority !== null && !Number.isInteger(maxPriority)) {
+      fail('maxPriority must be an integer');
+    }
+
+    return {
+      id,
+      keyHash: key.key ? ApiKeyManager.hashKey(String(key.key)) : key.keyHash.toLowerCase(),
+      bucket: new TokenBucket(rateLimit),
+      dailyQuota,
+      maxPriority,
+      usage: {
+        day: this.currentDay(),
+        quotaUsed: 0,
+        requests: 0,
+        rateLimited: 0,
+        quotaExceeded: 0,
+        lastUsedAt: null
+      }
+    };
+  }
+
+  /**
+   * Find the key record for a presented API key
+   * @param {string} key - Plain API key
+   * @returns {Object|null} Key record, or null if unknown
+   */
+  authenticate(key) {
+    if (!key) {
+      return null;
+    }
+    return this.keysByHash.get(ApiKeyManager.hashKey(key)) || null;
+  }
+
+  /**
+   * Spend rate-limit tokens and daily quota for a request. Nothing is spent
+   * unless both are available.
+   * @param {Object} record - Key record
+   * @param {Object} cost - `{ tokens, quota }` to spend
+   * @returns {Object} `{ allowed, reason, retryAfter }`; reason is `rate` or `quota` when refused
+   */
+  consume(record, { tokens = 1, quota = 0 } = {}) {
+    this.rollOver(record);
+    const { usage } = record;
+
+    if (record.dailyQuota !== null && usage.quotaUsed + quota > record.dailyQuota) {
+      usage.quotaExceeded++;
+      return { allowed: false, reason: 'quota', retryAfter: Math.ceil(this.timeUntilNextDay() / 1000) };
+    }
+
+    if (tokens > 0 && !record.bucket.take(tokens)) {
+      usage.rateLimited++;
+      return { allowed: false, reason: 'rate', retryAfter: Math.ceil(record.bucket.timeUntil(tokens) / 1000) };
+    }
+
+    usage.quotaUsed += quota;
+    if (tokens > 0) {
+      usage.requests++;
+    }
+    usage.lastUsedAt = new Date().toISOString();
+
+    return { allowed: true, reason: null, retryAfter: 0 };
+  }
+
+  /**
+   * Give back quota charged for a request that was rejected
+   * @param {Object} record - Key record
+   * @param {number} quota - Quota units to return
+   * @param {string} day - UTC day the quota was charged on; nothing is returned once the day is over
+   */
+  refund(record, quota, day) {
+    this.rollOver(record);
+    if (record.usage.day === day) {
+      record.usage.quotaUsed = Math.max(0, record.usage.quotaUsed - quota);
+    }
+  }
+
+  /**
+   * Cap a requested queue priority at the caller's maximum
+   * @param {Object|null} record - Key record (null when authentication is off)
+   * @param {number} [requested] - Requested priority (default 0)
+   * @returns {number} Effective priority
+   */
+  resolvePriority(record, requested = 0) {
+    const maxPriority = record && record.maxPriority !== null ? record.maxPriority : this.defaultMaxPriority;
+    return Math.min(requested, maxPriority);
+  }
+
+  /**
+   * Build the X-RateLimit-* response headers for a key
+   * @param {Object} record - Key record
+   * @returns {Object} Header names and values
+   */
+  getHeaders(record) {
+    this.rollOver(record);
+    const { bucket, usage } = record;
+
+    const headers = {
+      'X-RateLimit-Limit': bucket.capacity,
+      'X-RateLimit-Remaining': bucket.remaining(),
+      'X-RateLimit-Reset': Math.ceil(bucket.timeUntil(bucket.capacity) / 1000)
+    };
+
+    if (record.dailyQuota !== null) {
+      headers['X-RateLimit-Daily-Limit'] = record.dailyQuota;
+      headers['X-RateLimit-Daily-Remaining'] = Math.max(0, record.dailyQuota - usage.quotaUsed);
+      headers['X-RateLimit-Daily-Reset'] = Math.ceil(this.timeUntilNextDay() / 1000);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Reset a key's daily counters when the UTC day has changed
+   * @param {Object} record - Key record
+   */
+  rollOver(record) {
+    const day = this.currentDay();
+    if (record.usage.day !== day) {
+      record.usage.day = day;
+      record.usage.quotaUsed = 0;
+    }
+  }
+
+  /**
+   * Get the current UTC day
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  currentDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Time until daily quotas reset at UTC midnight
+   * @returns {number} Milliseconds
+   */
+  timeUntilNextDay() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime();
+  }
+
+  /**
+   * Get usage for keys
+   * @param {Iterable<Object>} [records] - Key records to include (default: every key)
+   * @returns {Object} `{ enabled, keys }` with usage by key ID
+   */
+  getUsage(records = this.keys.values()) {
+    const keys = {};
+    for (const record of records) {
+      this.rollOver(record);
+      keys[record.id] = {
+        ...record.usage,
+        dailyQuota: record.dailyQuota,
+        tokensRemaining: record.bucket.remaining(),
+        maxPriority: record.maxPriority
+      };
+    }
+    return { enabled: this.enabled, keys };
+  }
+}
+
+module.exports = ApiKeyManager;
@@ -0,0 +1,1203 @@
+const PolicyEngine = require('./policyEngine');
+const ImageProcessor = require('./imageProcessor');
+const ImageRedactor = require('./imageRedactor');
+
+const CLASSES = ['Drawing', 'Hentai', 'Neutral', 'Porn', 'Sexy'];
+
+// Fields shared by every analysis route, in the JSON/form body or the query string
+const ANALYSIS_OPTIONS = {
+  cache: {
+    type: 'boolean',
+    description: 'Set to false to skip the result cache'
+  },
+  priority: {
+    type: 'integer',
+    description: 'Queue priority; higher runs first. Capped at the API key\'s maxPriority.'
+  }
+};
+
+// Region-level analysis of still images; not offered for video
+const TILE_OPTIONS = {
+  mode: {
+    type: 'string',
+    enum: ['full', 'tiles'],
+    description: '`tiles` classifies overlapping crops of the original image and reports the worst region'
+  },
+  grid: {
+    type: 'integer',
+    minimum: 2,
+    maximum: ImageProcessor.MAX_TILE_GRID,
+    description: 'Tiles per side in tiles mode (default: TILE_GRID)'
+  },
+  overlap: {
+    type: 'number',
+    minimum: 0,
+    maximum: ImageProcessor.MAX_TILE_OVERLAP,
+    description: 'Share of a tile that overlaps its neighbour in tiles mode (default: TILE_OVERLAP)'
+  }
+};
+
+const REDACT_FIELDS = {
+  effect: {
+    type: 'string',
+    enum: ImageRedactor.EFFECTS,
+    description: 'Effect for flagged images (default: REDACT_EFFECT)'
+  },
+  strength: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 100,
+    description: 'Blur radius or pixel block size in thousandths of the longer side (default: REDACT_STRENGTH)'
+  },
+  format: {
+    type: 'string',
+    enum: Object.keys(ImageRedactor.FORMATS),
+    description: 'Output image format (default: REDACT_FORMAT)'
+  },
+  response: {
+    type: 'string',
+    enum: ['image', 'json'],
+    description: '`image` returns the preview bytes; `json` returns it base64-encoded with the analysis'
+  }
+};
+
+const IMAGE_FIELDS = {
+  url: {
+    type: 'string',
+    description: 'http(s) URL of the image'
+  },
+  image: {
+    type: 'string',
+    pattern: '^data:',
+    description: 'Image as a base64 data URI (data:image/<type>;base64,...)'
+  }
+};
+
+const VIDEO_FIELDS = {
+  path: {
+    type: 'string',
+    description: 'Video file relative to VIDEO_LOCAL_DIR'
+  },
+  interval: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'Seconds between sampled frames'
+  },
+  sceneThreshold: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    exclusiveMaximum: 1,
+    description: 'Sample frames on scene changes above this score instead of at an interval'
+  }
+};
+
+const HASH_FIELDS = {
+  list: {
+    type: 'string',
+    enum: ['block', 'allow'],
+    description: 'List to add the entry to (required)'
+  },
+  label: {
+    type: 'string',
+    description: 'Free-form label returned with matches'
+  },
+  phash: {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{16}$',
+    description: 'Precomputed perceptual hash (16 hex characters)'
+  },
+  dhash: {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{16}$',
+    description: 'Precomputed difference hash (16 hex characters)'
+  }
+};
+
+// Model version directory accepted by the model admin routes
+const MODEL_PATH = {
+  type: 'string',
+  minLength: 1,
+  description: 'Model directory relative to MODELS_DIR, e.g. `inception_v3.next`.'
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['type', 'code', 'message', 'statusCode', 'retryable', 'timestamp', 'requestId'],
+        properties: {
+          type: { type: 'string', description: 'Error category' },
+          code: { type: 'string', description: 'Stable machine-readable code' },
+          message: { type: 'string' },
+          statusCode: { type: 'integer' },
+          retryable: { type: 'boolean', description: 'Whether repeating the request may succeed' },
+          details: {
+            type: 'object',
+            description: 'Structured context, e.g. `fields` for validation errors or `upstreamStatus` for fetch errors',
+            properties: {
+              fields: {
+                type: 'array',
+                items: { $ref: '#/components/schemas/FieldError' }
+              }
+            }
+          },
+          timestamp: { type: 'string', format: 'date-time' },
+          requestId: { type: 'string' }
+        }
+      }
+    }
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'in', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Field path, e.g. `priority` or `items[2].url`' },
+      in: { type: 'string', enum: ['body', 'query'] },
+      message: { type: 'string' }
+    }
+  },
+  Predictions: {
+    type: 'object',
+    description: 'Probability per class',
+    properties: Object.fromEntries(CLASSES.map(name => [name, { type: 'number', minimum: 0, maximum: 1 }])),
+    additionalProperties: { type: 'number' }
+  },
+  PerceptualHash: {
+    type: 'object',
+    properties: {
+      phash: { type: 'string' },
+      dhash: { type: 'string' }
+    }
+  },
+  HashMatch: {
+    type: 'object',
+    properties: {
+      matchedList: { type: 'string', enum: ['blocklist', 'allowlist'] },
+      decision: { type: 'string', enum: ['block', 'allow'] },
+      distance: { type: 'integer' },
+      algorithm: { type: 'string' },
+      entryId: { type: 'string' },
+      label: { type: ['string', 'null'] }
+    }
+  },
+  SafetyAssessment: {
+    type: 'object',
+    properties: {
+      isSafe: { type: 'boolean' },
+      mostLikelyCategory: { type: ['string', 'null'] },
+      confidence: { type: ['number', 'null'] },
+      threshold: { type: 'number' },
+      assessment: { type: 'string', enum: ['safe', 'nsfw', 'uncertain', 'unknown'] },
+      policy: { type: 'string' },
+      outcome: { type: 'string', enum: PolicyEngine.OUTCOMES },
+      rule: {
+        type: ['object', 'null'],
+        properties: {
+          name: { type: 'string' },
+          classes: { type: 'array', items: { type: 'string' } },
+          threshold: { type: 'number' },
+          score: { type: 'number' }
+        }
+      },
+      allPredictions: {
+        oneOf: [{ $ref: '#/components/schemas/Predictions' }, { type: 'null' }]
+      }
+    }
+  },
+  AnalysisResult: {
+    type: 'object',
+    required: ['success', 'model', 'predictions', 'cached', 'timestamp', 'insights'],
+    properties: {
+      success: { type: 'boolean' },
+      model: { type: ['string', 'null'], description: 'Model ID, or null when a hash list match decided the image' },
+      predictions: {
+        oneOf: [{ $ref: '#/components/schemas/Predictions' }, { type: 'null' }]
+      },
+      frames: {
+        type: 'object',
+        description: 'Present for animated images',
+        properties: {
+          total: { type: 'integer' },
+          sampled: { type: 'integer' },
+          aggregation: { type: 'string' },
+          worstFrame: { type: ['integer', 'null'] },
+          results: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      tiles: {
+        type: 'object',
+        description: 'Present in tiles mode; `predictions` then holds the highest probability per class over all tiles',
+        properties: {
+          grid: { type: 'integer' },
+          overlap: { type: 'number' },
+          width: { type: 'integer', description: 'Width of the upright original image' },
+          height: { type: 'integer' },
+          scoreMap: {
+            type: 'array',
+            description: 'NSFW score (Porn + Sexy + Hentai) per tile, by row and column',
+            items: { type: 'array', items: { type: 'number' } }
+          },
+          worstRegion: { $ref: '#/components/schemas/TileRegion' },
+          results: {
+            type: 'array',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/TileRegion' },
+                { type: 'object', properties: { predictions: { $ref: '#/components/schemas/Predictions' } } }
+              ]
+            }
+          }
+        }
+      },
+      perceptualHash: { $ref: '#/components/schemas/PerceptualHash' },
+      hashMatch: { $ref: '#/components/schemas/HashMatch' },
+      cached: { type: 'boolean' },
+      timestamp: { type: 'string', format: 'date-time' },
+      insights: {
+        type: 'object',
+        properties: {
+          mostLikelyClassification: {
+            type: ['object', 'null'],
+            properties: {
+              classification: { type: ['string', 'null'] },
+              confidence: { type: 'number' }
+            }
+          },
+          safetyAssessment: { $ref: '#/components/schemas/SafetyAssessment' }
+        }
+      }
+    }
+  },
+  RedactionResult: {
+    type: 'object',
+    required: ['redacted', 'outcome', 'policy', 'format', 'image', 'analysis'],
+    properties: {
+      redacted: { type: 'boolean', description: 'Whether the effect was applied (outcome block or review)' },
+      outcome: { type: 'string', enum: PolicyEngine.OUTCOMES },
+      policy: { type: 'string' },
+      effect: { type: ['string', 'null'], enum: [...ImageRedactor.EFFECTS, null] },
+      format: { type: 'string', enum: Object.keys(ImageRedactor.FORMATS) },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      image: { type: 'string', description: 'Preview as a base64 data URI' },
+      analysis: { $ref: '#/components/schemas/AnalysisResult' }
+    }
+  },
+  TileRegion: {
+    type: 'object',
+    description: 'Tile bounding box in pixels of the upright original image',
+    properties: {
+      row: { type: 'integer' },
+      col: { type: 'integer' },
+      x: { type: 'integer' },
+      y: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      score: { type: 'number', description: 'NSFW score (Porn + Sexy + Hentai)' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          description: 'The item reference (`url` or `filename`) plus `data` on success or `error` on failure',
+          properties: {
+            index: { type: 'integer', description: 'Position in the batch' },
+            success: { type: 'boolean' },
+            url: { type: 'string' },
+            filename: { type: 'string' },
+            data: { $ref: '#/components/schemas/AnalysisResult' },
+            error: { type: 'object' }
+          }
+        }
+      }
+    }
+  },
+  VideoResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      model: { type: 'string' },
+      sampling: { type: 'object' },
+      frames: { type: 'integer' },
+      timeline: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            time: { type: 'number' },
+            predictions: { $ref: '#/components/schemas/Predictions' },
+            error: { type: 'object' }
+          }
+        }
+      },
+      policy: { type: 'string' },
+      flaggedSegments: { type: 'array', items: { type: 'object' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+      model: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: ['string', 'null'], format: 'date-time' },
+      completedAt: { type: ['string', 'null'], format: 'date-time' },
+      result: {
+        oneOf: [{ $ref: '#/components/schemas/AnalysisResult' }, { type: 'null' }]
+      },
+      error: { type: ['object', 'null'] },
+      callback: {
+        type: ['object', 'null'],
+        properties: {
+          url: { type: 'string' },
+          status: { type: 'string' },
+          attempts: { type: 'integer' },
+          lastError: { type: ['string', 'null'] }
+        }
+      }
+    }
+  },
+  ImageMetadata: {
+    type: 'object',
+    required: ['width', 'height', 'format', 'size', 'frames', 'needsResizing'],
+    properties: {
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      format: { type: 'string' },
+      size: { type: 'integer', description: 'Downloaded size in bytes' },
+      frames: { type: 'integer' },
+      needsResizing: { type: 'boolean', description: 'Larger than MAX_IMAGE_DIMENSION' }
+    }
+  },
+  ModelState: {
+    type: 'object',
+    description: 'Load state of one model',
+    properties: {
+      state: { type: 'string', enum: ['pending', 'loading', 'retrying', 'ready', 'failed'] },
+      attempts: { type: 'integer' },
+      isLoaded: { type: 'boolean' },
+      loadTime: { type: ['number', 'null'] },
+      inputSize: { type: 'integer' },
+      type: { type: 'string' },
+      error: { type: ['string', 'null'], description: 'Why the last attempt failed' },
+      integrity: {
+        type: ['object', 'null'],
+        description: 'Result of checking model.json, the weight shard sizes and the input shape before loading; null until checked',
+        properties: {
+          ok: { type: 'boolean' },
+          problems: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      directory: { type: 'string', description: 'Directory the serving version was loaded from, relative to MODELS_DIR' },
+      version: { type: ['string', 'null'], description: 'Fingerprint of the serving version\'s files' },
+      reloadedAt: { type: ['string', 'null'], format: 'date-time', description: 'Last hot reload or promotion' },
+      candidate: {
+        type: ['object', 'null'],
+        description: 'Shadow candidate loaded next to the serving version',
+        properties: {
+          directory: { type: 'string' },
+          version: { type: ['string', 'null'] },
+          loadedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      workersReady: { type: 'integer', description: 'Inference workers with the model ready (worker pool only)' }
+    }
+  },
+  ModelStatus: {
+    type: 'object',
+    description: 'Load state per enabled model',
+    additionalProperties: { $ref: '#/components/schemas/ModelState' }
+  },
+  ShadowStats: {
+    type: 'object',
+    description: 'Comparison of a shadow candidate with the serving version since the candidate was loaded',
+    properties: {
+      candidate: { type: 'object', properties: { directory: { type: 'string' }, version: { type: ['string', 'null'] } } },
+      percent: { type: 'number', description: 'Share of requests also classified by the candidate' },
+      startedAt: { type: 'string', format: 'date-time' },
+      sampled: { type: 'integer' },
+      compared: { type: 'integer' },
+      disagreements: { type: 'integer', description: 'Comparisons where the policy outcomes differed' },
+      agreementRate: { type: ['number', 'null'] },
+      errors: { type: 'integer', description: 'Candidate classifications that failed' },
+      skipped: { type: 'integer', description: 'Sampled requests skipped because SHADOW_MAX_PENDING were running' },
+      meanAbsDiff: { $ref: '#/components/schemas/Predictions' },
+      maxAbsDiff: { $ref: '#/components/schemas/Predictions' },
+      outcomeChanges: {
+        type: 'object',
+        description: 'Disagreements by `<serving outcome>-><candidate outcome>`',
+        additionalProperties: { type: 'integer' }
+      }
+    }
+  },
+  ModelChange: {
+    type: 'object',
+    properties: {
+      model: { $ref: '#/components/schemas/ModelState' },
+      shadow: {
+        oneOf: [{ $ref: '#/components/schemas/ShadowStats' }, { type: 'null' }],
+        description: 'Shadow statistics: fresh after loading a candidate, final after removing or promoting one'
+      }
+    }
+  },
+  ModelAdmin: {
+    type: 'object',
+    properties: {
+      defaultModel: { type: 'string' },
+      models: { $ref: '#/components/schemas/ModelStatus' },
+      shadow: { type: 'object', additionalProperties: { $ref: '#/components/schemas/ShadowStats' } }
+    }
+  },
+  QueueStats: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      completed: { type: 'integer' },
+      failed: { type: 'integer' },
+      timedOut: { type: 'integer' },
+      cancelled: { type: 'integer' },
+      rejected: { type: 'integer' },
+      concurrency: { type: 'integer' },
+      pending: { type: 'integer', description: 'Tasks waiting to start' },
+      size: { type: 'integer', description: 'Tasks waiting to start, as held by the queue' },
+      maxQueueLength: { type: 'integer' },
+      running: { type: 'integer', description: 'Tasks running, including timed-out tasks that have not stopped yet' },
+      isPaused: { type: 'boolean' }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'uptime', 'model', 'queue', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'starting', 'degraded', 'unhealthy', 'shutting_down'] },
+      uptime: { type: 'integer', description: 'Milliseconds since start' },
+      model: {
+        type: 'object',
+        properties: {
+          isLoaded: { type: 'boolean', description: 'Whether the default model is ready' },
+          defaultModel: { type: 'string' },
+          models: { $ref: '#/components/schemas/ModelStatus' },
+          modelType: { type: 'string' },
+          version: { type: 'string' }
+        }
+      },
+      queue: {
+        type: 'object',
+        properties: {
+          isHealthy: { type: 'boolean' },
+          stats: { $ref: '#/components/schemas/QueueStats' },
+          recommendations: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      workers: {
+        type: ['array', 'null'],
+        description: 'Inference worker threads; null when inference runs on the main thread',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            threadId: { type: ['integer', 'null'] },
+            state: { type: 'string', enum: ['starting', 'ready', 'draining', 'exited'] },
+            inFlight: { type: 'integer', description: 'Images being classified' },
+            completed: { type: 'integer' },
+            failed: { type: 'integer' },
+            restarts: { type: 'integer', description: 'Crash restarts and leak replacements' },
+            tensors: { type: 'integer' },
+            tensorBytes: { type: 'integer' },
+            startedAt: { type: ['string', 'null'], format: 'date-time' }
+          }
+        }
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  QueueStatsResponse: {
+    allOf: [
+      { $ref: '#/components/schemas/QueueStats' },
+      {
+        type: 'object',
+        properties: {
+          inference: {
+            type: 'object',
+            description: 'Micro-batching of model inference',
+            properties: {
+              maxBatchSize: { type: 'integer' },
+              maxWait: { type: 'integer', description: 'Milliseconds' },
+              batches: { type: 'integer', description: 'Forward passes run' },
+              images: { type: 'integer', description: 'Images classified' },
+              full: { type: 'integer', description: 'Batches that reached maxBatchSize' },
+              averageBatchSize: { type: 'number' },
+              occupancy: { type: 'number', description: 'averageBatchSize / maxBatchSize' },
+              waiting: { type: 'integer', description: 'Images in batches not yet run' }
+            }
+          },
+          cache: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              hits: { type: 'integer' },
+              misses: { type: 'integer' },
+              urlHits: { type: 'integer' },
+              urlMisses: { type: 'integer' },
+              errors: { type: 'integer' },
+              hitRate: { type: 'number' },
+              size: { type: ['integer', 'null'] }
+            }
+          },
+          apiKeys: {
+            allOf: [{ $ref: '#/components/schemas/ApiKeyUsage' }],
+            description: 'Usage of the API key that made the request; empty when API keys are off'
+          }
+        }
+      }
+    ]
+  },
+  ApiKeyUsage: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      keys: {
+        type: 'object',
+        description: 'Usage by key ID',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            day: { type: 'string', description: 'UTC day the quota counters belong to' },
+            quotaUsed: { type: 'integer' },
+            requests: { type: 'integer' },
+            rateLimited: { type: 'integer' },
+            quotaExceeded: { type: 'integer' },
+            lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+            dailyQuota: { type: ['integer', 'null'] },
+            tokensRemaining: { type: 'number' },
+            maxPriority: { type: ['integer', 'null'] }
+          }
+        }
+      }
+    }
+  },
+  HashEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      list: { type: 'string', enum: ['block', 'allow'] },
+      label: { type: ['string', 'null'] },
+      phash: { type: ['string', 'null'] },
+      dhash: { type: ['string', 'null'] },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  HashList: {
+    type: 'object',
+    properties: {
+      algorithm: { type: 'string' },
+      threshold: { type: 'integer' },
+      blocklist: { type: 'integer' },
+      allowlist: { type: 'integer' },
+      entries: { type: 'array', items: { $ref: '#/components/schemas/HashEntry' } }
+    }
+  }
+};
+
+/**
+ * OpenAPI 3.1 description of the HTTP API. Request schemas are also what
+ * RequestValidator checks incoming bodies and query strings against, and
+ * checkRoutes keeps the document in step with the Express routes.
+ */
+class ApiSpec {
+  constructor(config = {}) {
+    this.version = config.version || '1.0.0';
+    // Listed in the descriptions of the model and policy fields
+    this.models = config.models || [];
+    this.policies = config.policies || [];
+    this.maxBatchSize = config.maxBatchSize || 50;
+    this.document = this.build();
+  }
+
+  /**
+   * Get the OpenAPI document
+   * @returns {Object} OpenAPI 3.1 document
+   */
+  getDocument() {
+    return this.document;
+  }
+
+  /**
+   * Find the operation for an Express route
+   * @param {string} method - HTTP method
+   * @param {string} routePath - Express route path, e.g. `/jobs/:id`
+   * @returns {Object|null} Operation object, or null if undocumented
+   */
+  getOperation(method, routePath) {
+    const pathItem = this.document.paths[ApiSpec.toOpenApiPath(routePath)];
+    return (pathItem && pathItem[method.toLowerCase()]) || null;
+  }
+
+  /**
+   * List every documented operation
+   * @returns {Array<Object>} `{ method, path, operation }` entries with OpenAPI paths
+   */
+  listOperations() {
+    const operations = [];
+    for (const [path, pathItem] of Object.entries(this.document.paths)) {
+      for (const [method, operation] of Object.entries(pathItem)) {
+        operations.push({ method, path, operation });
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * Check that every Express route is documented and every documented
+   * operation has a route
+   * @param {Object} app - Express application with its routes registered
+   * @throws {Error} Listing the routes and operations that do not match
+   */
+  checkRoutes(app) {
+    const routes = new Set();
+    for (const layer of app._router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.add(`${method.toUpperCase()} ${ApiSpec.toOpenApiPath(layer.route.path)}`);
+      }
+    }
+
+    const documented = new Set(this.listOperations().map(({ method, path }) => `${method.toUpperCase()} ${path}`));
+    const undocumented = [...routes].filter(route => !documented.has(route));
+    const missing = [...documented].filter(route => !routes.has(route));
+
+    if (undocumented.length > 0 || missing.length > 0) {
+      throw new Error('OpenAPI document does not match the routes: ' + [
+        ...undocumented.map(route => `${route} is not documented`),
+        ...missing.map(route => `${route} has no route`)
+      ].join('; '));
+    }
+  }
+
+  /**
+   * Convert an Express route path to an OpenAPI path
+   * @param {string} routePath - Express route path, e.g. `/jobs/:id`
+   * @returns {string} OpenAPI path, e.g. `/jobs/{id}`
+   */
+  static toOpenApiPath(routePath) {
+    return routePath.replace(/:(\w+)/g, '{$1}');
+  }
+
+  /**
+   * Build the analysis option fields, listing the enabled models and policies
+   * @returns {Object} Schema properties
+   */
+  analysisOptions() {
+    return {
+      model: {
+        type: 'string',
+        description: `Model ID. Enabled: ${this.models.join(', ') || 'see /health'}`
+      },
+      policy: {
+        type: 'string',
+        description: `Moderation policy. Defined: ${this.policies.join(', ') || 'see the policy file'}`
+      },
+      ...ANALYSIS_OPTIONS
+    };
+  }
+
+  /**
+   * Build the full document
+   * @returns {Object} OpenAPI 3.1 document
+   */
+  build() {
+    const options = this.analysisOptions();
+    const imageOptions = { ...options, ...TILE_OPTIONS };
+    const apiKey = [{}, { apiKey: [] }, { bearer: [] }];
+    const admin = [{ bearer: [] }];
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'NSFW Image Analysis API',
+        version: this.version,
+        description: 'Image, batch and video NSFW analysis with nsfwjs. API keys are only required when the server is started with API_KEYS_FILE.'
+      },
+      paths: {
+        '/health': {
+          get: {
+            operationId: 'getHealth',
+            summary: 'Service, model and queue health',
+            responses: {
+              200: success(ref('Health')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/livez': {
+          get: {
+            operationId: 'getLiveness',
+            summary: 'Liveness probe: the process is up',
+            responses: {
+              200: success(object({ status: { type: 'string', const: 'alive' }, uptime: { type: 'integer' } }))
+            }
+          }
+        },
+        '/readyz': {
+          get: {
+            operationId: 'getReadiness',
+            summary: 'Readiness probe: every model is loaded and warmed up',
+            responses: {
+              200: success(object({ status: { type: 'string', const: 'ready' }, models: ref('ModelStatus') })),
+              503: errorResponse('Not ready: `MODELS_LOADING`, `MODELS_FAILED` or `SHUTTING_DOWN`; `details.models` has the per-model state')
+            }
+          }
+        },
+        '/metrics': {
+          get: {
+            operationId: 'getMetrics',
+            summary: 'Prometheus metrics',
+            responses: {
+              200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+            }
+          }
+        },
+        '/openapi.json': {
+          get: {
+            operationId: 'getOpenApi',
+            summary: 'This document',
+            responses: {
+              200: { description: 'OpenAPI 3.1 document', content: { 'application/json': { schema: { type: 'object' } } } }
+            }
+          }
+        },
+        '/docs': {
+          get: {
+            operationId: 'getDocs',
+            summary: 'Interactive documentation for this document',
+            responses: {
+              200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } }
+            }
+          }
+        },
+        '/analyze': {
+          post: {
+            operationId: 'analyzeImage',
+            summary: 'Analyze one image',
+            description: 'Send the image as `url`, `image` (data URI), a multipart `file` field, or a raw image/* body. Options can also go in the query string.',
+            security: apiKey,
+            parameters: queryParameters(imageOptions),
+            requestBody: imageBody({ ...IMAGE_FIELDS, ...imageOptions }),
+            responses: {
+              200: success(ref('AnalysisResult')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/analyze/batch': {
+          post: {
+            operationId: 'analyzeBatch',
+            summary: 'Analyze several images',
+            description: 'Send an `items` array, or upload images in the multipart `files` field. Every item counts against the daily quota.',
+            security: apiKey,
+            parameters: queryParameters(imageOptions),
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: object({
+                    items: {
+                      type: 'array',
+                      minItems: 1,
+                      maxItems: this.maxBatchSize,
+                      // Objects take url or image; invalid entries fail individually
+                      items: { type: ['string', 'object'], properties: IMAGE_FIELDS }
+                    },
+                    ...imageOptions
+                  }, ['items'])
+                },
+                'multipart/form-data': {
+                  schema: object({
+                    files: { type: 'array', maxItems: this.maxBatchSize, items: { type: 'string', format: 'binary' } },
+                    ...imageOptions
+                  })
+                }
+              }
+            },
+            responses: {
+              200: success(ref('BatchResult')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/redact': {
+          post: {
+            operationId: 'redactImage',
+            summary: 'Analyze an image and return a censored preview',
+            description: 'Takes the same image inputs and options as /analyze. The preview is blurred or pixelated when the policy outcome is block or review, and returned unchanged (but oriented, downscaled and re-encoded) otherwise.',
+            security: apiKey,
+            parameters: queryParameters({ ...imageOptions, ...REDACT_FIELDS }),
+            requestBody: imageBody({ ...IMAGE_FIELDS, ...imageOptions, ...REDACT_FIELDS }),
+            responses: {
+              200: {
+                description: 'Preview image, or JSON with `response=json`. X-Redacted, X-Moderation-Outcome and X-Moderation-Policy headers describe the decision.',
+                content: {
+                  ...Object.fromEntries(Object.values(ImageRedactor.FORMATS).map(type => [type, { schema: binary() }])),
+                  'application/json': success(ref('RedactionResult')).content['application/json']
+                }
+              },
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/analyze/video': {
+          post: {
+            operationId: 'analyzeVideo',
+            summary: 'Analyze sampled frames of a video',
+            description: 'Send the video as a multipart `file` field, a raw video/* body, or a `path` inside VIDEO_LOCAL_DIR.',
+            security: apiKey,
+            parameters: queryParameters({ ...VIDEO_FIELDS, ...options }),
+            requestBody: {
+              content: {
+                'application/json': { schema: object({ ...VIDEO_FIELDS, ...options }) },
+                'multipart/form-data': { schema: object({ file: binary(), ...VIDEO_FIELDS, ...options }) },
+                'video/*': { schema: binary() }
+              }
+            },
+            responses: {
+              200: success(ref('VideoResult')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/jobs': {
+          post: {
+            operationId: 'createJob',
+            summary: 'Queue an asynchronous analysis',
+            description: 'Takes the same image inputs as /analyze. Poll /jobs/{id}, or pass `callbackUrl` to receive a signed webhook.',
+            security: apiKey,
+            parameters: queryParameters(imageOptions),
+            requestBody: imageBody({
+              ...IMAGE_FIELDS,
+              callbackUrl: { type: 'string', description: 'http(s) URL to POST the finished job to. Requires WEBHOOK_SECRET.' },
+              ...imageOptions
+            }),
+            responses: {
+              202: { ...success(ref('Job')), description: 'Job accepted; its URL is in the Location header' },
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/jobs/{id}': {
+          get: {
+            operationId: 'getJob',
+            summary: 'Job status and result',
+            security: apiKey,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+              200: success(ref('Job')),
+              404: errorResponse('Unknown or expired job'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/queue/stats': {
+          get: {
+            operationId: 'getQueueStats',
+            summary: 'Queue and cache statistics, and the usage of the caller\'s API key',
+            security: apiKey,
+            responses: {
+              200: success(ref('QueueStatsResponse')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/api-keys': {
+          get: {
+            operationId: 'getApiKeyUsage',
+            summary: 'Usage of every API key',
+            security: admin,
+            responses: {
+              200: success(ref('ApiKeyUsage')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/queue/pause': {
+          post: {
+            operationId: 'pauseQueue',
+            summary: 'Stop starting queued tasks',
+            security: admin,
+            responses: {
+              200: success(ref('QueueStats')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/queue/resume': {
+          post: {
+            operationId: 'resumeQueue',
+            summary: 'Start queued tasks again',
+            security: admin,
+            responses: {
+              200: success(ref('QueueStats')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/models': {
+          get: {
+            operationId: 'listModelVersions',
+            summary: 'Serving model versions, shadow candidates and shadow statistics',
+            security: admin,
+            responses: {
+              200: success(ref('ModelAdmin')),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/models/{id}/reload': {
+          post: {
+            operationId: 'reloadModel',
+            summary: 'Load a new version of a model next to the serving one and switch to it',
+            security: admin,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            requestBody: {
+              content: {
+                'application/json': {
+                  schema: object({ path: { ...MODEL_PATH, description: `${MODEL_PATH.description} Defaults to the serving version's directory, e.g. after \`npm run models -- install --force\`.` } })
+                }
+              }
+            },
+            responses: {
+              200: success(ref('ModelState')),
+              400: errorResponse('Invalid request'),
+              404: errorResponse('Unknown model'),
+              409: errorResponse('Another change to the model is in progress'),
+              422: errorResponse('The new version failed its integrity check or could not be loaded; the old one keeps serving'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/models/{id}/candidate': {
+          post: {
+            operationId: 'setShadowCandidate',
+            summary: 'Load a shadow candidate and classify a share of requests with it too',
+            security: admin,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: object({
+                    path: MODEL_PATH,
+                    percent: { type: 'number', exclusiveMinimum: 0, maximum: 100, description: 'Share of requests to shadow (default: SHADOW_PERCENT)' }
+                  }, ['path'])
+                }
+              }
+            },
+            responses: {
+              200: success(ref('ModelChange')),
+              400: errorResponse('Invalid request'),
+              404: errorResponse('Unknown model'),
+              409: errorResponse('Another change to the model is in progress'),
+              422: errorResponse('The candidate failed its integrity check or could not be loaded'),
+              default: errorResponse()
+            }
+          },
+          delete: {
+            operationId: 'removeShadowCandidate',
+            summary: 'Stop shadowing and unload the candidate',
+            security: admin,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+              200: success(ref('ModelChange')),
+              404: errorResponse('Unknown model, or no candidate'),
+              409: errorResponse('Another change to the model is in progress'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/models/{id}/candidate/promote': {
+          post: {
+            operationId: 'promoteShadowCandidate',
+            summary: 'Make the shadow candidate the serving version',
+            security: admin,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+              200: success(ref('ModelChange')),
+              404: errorResponse('Unknown model, or no candidate'),
+              409: errorResponse('Another change to the model is in progress'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/hashes': {
+          get: {
+            operationId: 'listHashes',
+            summary: 'List hash list entries',
+            security: admin,
+            parameters: queryParameters({ list: HASH_FIELDS.list }),
+            responses: {
+              200: success(ref('HashList')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          },
+          post: {
+            operationId: 'addHash',
+            summary: 'Add a hash list entry from an image or precomputed hashes',
+            security: admin,
+            parameters: queryParameters(HASH_FIELDS),
+            requestBody: imageBody({ ...IMAGE_FIELDS, ...HASH_FIELDS }),
+            responses: {
+              201: success(ref('HashEntry')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/admin/hashes/{id}': {
+          delete: {
+            operationId: 'deleteHash',
+            summary: 'Remove a hash list entry',
+            security: admin,
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+              200: success(object({ id: { type: 'string' }, deleted: { type: 'boolean' } })),
+              404: errorResponse('Unknown entry'),
+              default: errorResponse()
+            }
+          }
+        },
+        '/metadata': {
+          post: {
+            operationId: 'getImageMetadata',
+            summary: 'Image dimensions and format without analysis',
+            security: apiKey,
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: object({ url: { ...IMAGE_FIELDS.url, minLength: 1 } }, ['url'])
+                }
+              }
+            },
+            responses: {
+              200: success(ref('ImageMetadata')),
+              400: errorResponse('Invalid request'),
+              default: errorResponse()
+            }
+          }
+        }
+      },
+      components: {
+        schemas: SCHEMAS,
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+          bearer: { type: 'http', scheme: 'bearer', description: 'API key, or ADMIN_TOKEN for /admin routes' }
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Build an object schema
+ * @param {Object} properties - Schema properties
+ * @param {Array<string>} [required] - Required property names
+ * @returns {Object} JSON Schema
+ */
+function object(properties, required) {
+  return required ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+/**
+ * Build a `$ref` to a component schema
+ * @param {string} name - Component schema name
+ * @returns {Object} Reference object
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Build a binary upload schema
+ * @returns {Object} JSON Schema
+ */
+function binary() {
+  return { type: 'string', format: 'binary' };
+}
+
+/**
+ * Build query parameters from schema properties
+ * @param {Object} properties - Schema properties
+ * @returns {Array<Object>} Parameter objects
+ */
+function queryParameters(properties) {
+  return Object.entries(properties).map(([name, schema]) => ({ name, in: 'query', schema }));
+}
+
+/**
+ * Build a request body accepting JSON, a multipart `file` field or a raw image
+ * @param {Object} properties - JSON and form field properties
+ * @returns {Object} Request body object
+ */
+function imageBody(properties) {
+  return {
+    content: {
+      'application/json': { schema: object(properties) },
+      'multipart/form-data': { schema: object({ file: binary(), ...properties }) },
+      'image/*': { schema: binary() }
+    }
+  };
+}
+
+/**
+ * Build a success response wrapping data in the standard envelope
+ * @param {Object} schema - Schema of `data`
+ * @returns {Object} Response object
+ */
+function success(schema) {
+  return {
+    description: 'Success',
+    content: {
+      'application/json': {
+        schema: object({
+          success: { type: 'boolean', const: true },
+          data: schema,
+          timestamp: { type: 'string', format: 'date-time' },
+          requestId: { type: 'string' }
+        }, ['success', 'data', 'timestamp', 'requestId'])
+      }
+    }
+  };
+}
+
+/**
+ * Build an error response
+ * @param {string} [description] - Response description
+ * @returns {Object} Response object
+ */
+function errorResponse(description = 'Error; see `error.type` and `error.code`') {
+  return {
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+  };
+}
+
+module.exports = ApiSpec;
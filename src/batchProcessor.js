@@ -0,0 +1,85 @@
+const ErrorHandler = require('./errorHandler');
+const { ValidationError } = require('./errors');
+
+class BatchProcessor {
+  constructor(config = {}) {
+    this.queueManager = config.queueManager;
+    this.maxBatchSize = config.maxBatchSize || 50;
+    // Queue slots a single batch may hold at once, so that single requests
+    // submitted while a batch is running do not wait behind the whole batch
+    this.concurrency = config.concurrency || 2;
+  }
+
+  /**
+   * Run every batch item through the queue and collect per-item results
+   * @param {Array<Object>} items - Normalized items: `{ source, ref }` or `{ error, ref }`
+   * @param {Function} worker - Async function receiving an item source and the queue's `{ signal }`, returning its result
+   * @param {Object} options - Queue task options
+   * @returns {Promise<Array<Object>>} Per-item results in input order
+   */
+  async run(items, worker, options = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    // Each lane feeds one item at a time into the queue
+    const lane = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await this.runItem(items[index], index, worker, options);
+      }
+    };
+
+    const lanes = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: lanes }, lane));
+
+    return results;
+  }
+
+  /**
+   * Run a single item, converting failures into a categorized error entry
+   * @param {Object} item - Normalized batch item
+   * @param {number} index - Position in the batch
+   * @param {Function} worker - Async worker function
+   * @param {Object} options - Queue task options
+   * @returns {Promise<Object>} Item result
+   */
+  async runItem(item, index, worker, options) {
+    if (item.error) {
+      return {
+        index,
+        ...item.ref,
+        success: false,
+        error: ErrorHandler.categorizeError(new ValidationError(item.error))
+      };
+    }
+
+    try {
+      const data = await this.queueManager.addTask((task) => worker(item.source, task), options);
+      return { index, ...item.ref, success: true, data };
+    } catch (error) {
+      return {
+        index,
+        ...item.ref,
+        success: false,
+        error: ErrorHandler.categorizeError(error)
+      };
+    }
+  }
+
+  /**
+   * Summarize per-item results
+   * @param {Array<Object>} results - Per-item results
+   * @returns {Object} Batch summary with counts and results
+   */
+  summarize(results) {
+    const succeeded = results.filter(result => result.success).length;
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+}
+
+module.exports = BatchProcessor;
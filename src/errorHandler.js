@@ -1,3 +1,12 @@
+const {
+  ApiError,
+  ValidationError,
+  PayloadTooLargeError,
+  NotFoundError,
+  AuthError,
+  RateLimitError
+} = require('./errors');
+
 /**
  * Standardized error response handler
  */
@@ -12,14 +21,9 @@ class ErrorHandler {
     const timestamp = new Date().toISOString();
     const requestId = req ? req.id || 'unknown' : 'unknown';
     
-    // Determine error type and status code
-    const { statusCode, type, message } = this.categorizeError(error);
-    
     return {
       error: {
-        type,
-        message,
-        statusCode,
+        ...this.categorizeError(error),
         timestamp,
         requestId
       }
@@ -29,74 +33,80 @@ class ErrorHandler {
   /**
    * Categorize error and determine appropriate status code
    * @param {Error} error - Error object
-   * @returns {Object} Error categorization
+   * @returns {Object} `{ type, code, message, statusCode, retryable }`, plus `details` when the error has any
    */
   static categorizeError(error) {
-    const message = error.message || 'Unknown error occurred';
+    const apiError = this.toApiError(error);
+    const category = {
+      type: apiError.type,
+      code: apiError.code,
+      message: apiError.message,
+      statusCode: apiError.statusCode,
+      retryable: apiError.retryable
+    };
     
-    // URL validation errors
-    if (message.includes('Invalid URL') || message.includes('not found')) {
-      return {
-        statusCode: 400,
-        type: 'INVALID_URL',
-        message: 'The provided URL is invalid or unreachable'
-      };
+    if (apiError.details) {
+      category.details = apiError.details;
     }
     
-    // Image processing errors
-    if (message.includes('Image processing failed') || 
-        message.includes('Image resizing failed') ||
-        message.includes('Empty response')) {
-      return {
-        statusCode: 422,
-        type: 'IMAGE_PROCESSING_ERROR',
-        message: 'Failed to process the image. Please ensure the URL points to a valid image.'
-      };
+    return category;
+  }
+
+  /**
+   * Map any error to an ApiError. Errors thrown by this service are already
+   * typed; the rest come from Express middleware or are unexpected.
+   * @param {Error} error - Error object
+   * @returns {ApiError} Typed error
+   */
+  static toApiError(error) {
+    if (error instanceof ApiError) {
+      return error;
     }
     
-    // Model errors
-    if (message.includes('Model not loaded') || 
-        message.includes('Model loading failed')) {
-      return {
-        statusCode: 503,
-        type: 'MODEL_ERROR',
-        message: 'The analysis model is not available. Please try again later.'
-      };
+    // Upload size limits in the body parser and multer
+    if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+      return new PayloadTooLargeError('The upload exceeds the maximum allowed size.', { code: 'UPLOAD_TOO_LARGE' });
     }
     
-    // Analysis errors
-    if (message.includes('Image analysis failed')) {
-      return {
-        statusCode: 422,
-        type: 'ANALYSIS_ERROR',
-        message: 'Failed to analyze the image. The image may be corrupted or in an unsupported format.'
-      };
+    // Malformed JSON bodies
+    if (error.type === 'entity.parse.failed') {
+      return new ValidationError('The request body is not valid JSON.', { code: 'INVALID_JSON' });
     }
     
-    // Timeout errors
-    if (message.includes('timeout') || message.includes('Request timeout')) {
-      return {
-        statusCode: 408,
-        type: 'TIMEOUT_ERROR',
-        message: 'Request timed out. The image may be too large or the server is busy.'
-      };
+    // Malformed multipart uploads (unexpected field, too many files, ...)
+    if (error.name === 'MulterError') {
+      return new ValidationError(`Invalid upload: ${error.message}`, { code: 'INVALID_UPLOAD' });
     }
     
-    // Validation errors
-    if (message.includes('validation') || message.includes('required')) {
-      return {
-        statusCode: 400,
-        type: 'VALIDATION_ERROR',
-        message: 'Invalid request. Please check your input and try again.'
-      };
+    // Anything else is a bug or an unexpected failure; its message stays in the logs
+    return new ApiError('An unexpected error occurred. Please try again later.');
+  }
+
+  /**
+   * Send a standardized error response, including Retry-After when the
+   * error carries a `retryAfter` hint
+   * @param {Error} error - Error object
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static sendErrorResponse(error, req, res) {
+    const errorResponse = this.createErrorResponse(error, req);
+    
+    // Typed errors show up in the request summary line; anything else is
+    // unexpected and worth a stack trace
+    if (req.log) {
+      if (!(error instanceof ApiError) && errorResponse.error.statusCode >= 500) {
+        req.log.error('Unexpected error', { error });
+      } else if (error.cause) {
+        req.log.debug('Error cause', { code: errorResponse.error.code, error: error.cause });
+      }
     }
     
-    // Default server error
-    return {
-      statusCode: 500,
-      type: 'INTERNAL_SERVER_ERROR',
-      message: 'An unexpected error occurred. Please try again later.'
-    };
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    
+    res.status(errorResponse.error.statusCode).json(errorResponse);
   }
 
   /**
@@ -107,18 +117,7 @@ class ErrorHandler {
    * @param {Function} next - Express next function
    */
   static handleError(error, req, res, next) {
-    console.error('Error occurred:', {
-      message: error.message,
-      stack: error.stack,
-      url: req.url,
-      method: req.method,
-      timestamp: new Date().toISOString()
-    });
-
-    const errorResponse = ErrorHandler.createErrorResponse(error, req);
-    const statusCode = errorResponse.error.statusCode;
-    
-    res.status(statusCode).json(errorResponse);
+    ErrorHandler.sendErrorResponse(error, req, res);
   }
 
   /**
@@ -127,17 +126,7 @@ class ErrorHandler {
    * @param {Object} res - Express response object
    */
   static handleNotFound(req, res) {
-    const errorResponse = {
-      error: {
-        type: 'NOT_FOUND',
-        message: `Route ${req.method} ${req.url} not found`,
-        statusCode: 404,
-        timestamp: new Date().toISOString(),
-        requestId: req.id || 'unknown'
-      }
-    };
-    
-    res.status(404).json(errorResponse);
+    ErrorHandler.sendErrorResponse(new NotFoundError(`Route ${req.method} ${req.path} not found`), req, res);
   }
 
   /**
@@ -145,19 +134,41 @@ class ErrorHandler {
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {string} message - Validation error message
+   * @param {Array<Object>} [fields] - Field-level errors as `{ field, in, message }`, returned in `details.fields`
    */
-  static handleValidationError(req, res, message) {
-    const errorResponse = {
-      error: {
-        type: 'VALIDATION_ERROR',
-        message,
-        statusCode: 400,
-        timestamp: new Date().toISOString(),
-        requestId: req.id || 'unknown'
-      }
-    };
+  static handleValidationError(req, res, message, fields) {
+    const error = fields
+      ? new ValidationError(message, { details: { fields } })
+      : new ValidationError(message);
+    ErrorHandler.sendErrorResponse(error, req, res);
+  }
+
+  /**
+   * Handle authentication errors
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} message - Authentication error message
+   * @param {number} statusCode - HTTP status code (401 or 403)
+   */
+  static handleAuthError(req, res, message, statusCode = 401) {
+    ErrorHandler.sendErrorResponse(new AuthError(message, { statusCode }), req, res);
+  }
+
+  /**
+   * Handle rate limit and quota rejections
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} reason - `rate` or `quota`
+   * @param {number} retryAfter - Seconds until the request may succeed
+   */
+  static handleRateLimitError(req, res, reason, retryAfter) {
+    const error = reason === 'quota'
+      ? new RateLimitError('Daily quota exceeded for this API key. It resets at midnight UTC.', {
+        type: 'QUOTA_EXCEEDED', code: 'QUOTA_EXCEEDED', retryAfter
+      })
+      : new RateLimitError('Rate limit exceeded for this API key. Retry after the time in the Retry-After header.', { retryAfter });
     
-    res.status(400).json(errorResponse);
+    ErrorHandler.sendErrorResponse(error, req, res);
   }
 
   /**
@@ -0,0 +1,321 @@
+/**
+ * Typed errors. The message of an ApiError is returned to the client, so it
+ * must not contain internal details; `details` holds structured, client-safe
+ * context such as the upstream HTTP status.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Client-safe description of the error
+   * @param {Object} [options] - Error options
+   * @param {number} [options.statusCode] - HTTP status code (default 500)
+   * @param {string} [options.type] - Error category shown as `error.type`
+   * @param {string} [options.code] - Stable machine-readable code shown as `error.code`
+   * @param {boolean} [options.retryable] - Whether repeating the request may succeed
+   * @param {Object} [options.details] - Client-safe structured details
+   * @param {Error} [options.cause] - Underlying error, kept for logs only
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = options.statusCode || 500;
+    this.type = options.type || 'INTERNAL_SERVER_ERROR';
+    this.code = options.code || this.type;
+    this.retryable = options.retryable || false;
+    this.details = options.details || null;
+  }
+}
+
+/**
+ * Invalid request data
+ */
+class ValidationError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 400, type: 'VALIDATION_ERROR', code: 'INVALID_REQUEST', ...options });
+  }
+}
+
+/**
+ * Malformed or non-http(s) image URL
+ */
+class InvalidUrlError extends ApiError {
+  constructor(message = 'The provided URL is not a valid http(s) URL.', options = {}) {
+    super(message, { statusCode: 400, type: 'INVALID_URL', code: 'INVALID_URL', ...options });
+  }
+}
+
+/**
+ * Image URL refused by the URL policy
+ */
+class UrlBlockedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 403, type: 'URL_BLOCKED', code: 'URL_BLOCKED', ...options });
+  }
+}
+
+/**
+ * The image host could not be reached or answered with an error
+ */
+class FetchError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 502, type: 'IMAGE_FETCH_ERROR', code: 'FETCH_FAILED', retryable: true, ...options });
+  }
+
+  /**
+   * Create the error for an image host's HTTP error response. Client errors
+   * point at a bad URL (422); server errors and 429 are worth retrying (502).
+   * @param {number} status - Upstream HTTP status
+   * @returns {FetchError} Error with `details.upstreamStatus`
+   */
+  static fromStatus(status) {
+    const details = { upstreamStatus: status };
+
+    if (status === 404 || status === 410) {
+      return new FetchError(`The image host returned HTTP ${status}: the image does not exist.`, {
+        statusCode: 422, code: 'UPSTREAM_NOT_FOUND', retryable: false, details
+      });
+    }
+    if (status === 401 || status === 403) {
+      return new FetchError(`The image host returned HTTP ${status}: access to the image is denied.`, {
+        statusCode: 422, code: 'UPSTREAM_FORBIDDEN', retryable: false, details
+      });
+    }
+    if (status === 429) {
+      return new FetchError('The image host returned HTTP 429: it is rate limiting requests.', {
+        code: 'UPSTREAM_RATE_LIMITED', details
+      });
+    }
+    if (status >= 500) {
+      return new FetchError(`The image host returned HTTP ${status}.`, { code: 'UPSTREAM_SERVER_ERROR', details });
+    }
+    return new FetchError(`The image host returned HTTP ${status}.`, {
+      statusCode: 422, code: 'UPSTREAM_HTTP_ERROR', retryable: false, details
+    });
+  }
+}
+
+/**
+ * A download, decode or queued task took too long
+ */
+class TimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 408, type: 'TIMEOUT_ERROR', code: 'TIMEOUT', retryable: true, ...options });
+  }
+}
+
+/**
+ * Upload or download over its size limit
+ */
+class PayloadTooLargeError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 413, type: 'PAYLOAD_TOO_LARGE', code: 'PAYLOAD_TOO_LARGE', ...options });
+  }
+}
+
+/**
+ * Content that is not an image format the server can decode
+ */
+class UnsupportedFormatError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 415, type: 'UNSUPPORTED_FORMAT', code: 'UNSUPPORTED_FORMAT', ...options });
+  }
+}
+
+/**
+ * An image in a supported format that still could not be processed
+ */
+class ImageProcessingError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 422, type: 'IMAGE_PROCESSING_ERROR', code: 'IMAGE_PROCESSING_FAILED', ...options });
+  }
+
+  /**
+   * Convert a sharp failure, telling unknown formats apart from broken images
+   * @param {Error} error - Error thrown by sharp
+   * @param {string} action - What was being done, e.g. "resize the image"
+   * @returns {ApiError} UnsupportedFormatError or ImageProcessingError
+   */
+  static fromSharp(error, action) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+    if (/unsupported image format/i.test(error.message)) {
+      return new UnsupportedFormatError('The data is not in a supported image format.', {
+        code: 'UNSUPPORTED_IMAGE_FORMAT', cause: error
+      });
+    }
+    return new ImageProcessingError(`Failed to ${action}. The image may be corrupted.`, { cause: error });
+  }
+}
+
+/**
+ * The requested model is not loaded
+ */
+class ModelUnavailableError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, type: 'MODEL_ERROR', code: 'MODEL_NOT_LOADED', retryable: true, ...options });
+  }
+
+  /**
+   * Create the error for a model that cannot serve requests. A model that is
+   * still loading is worth retrying; one that has given up is not.
+   * @param {string} id - Model ID
+   * @param {string} state - Model load state
+   * @returns {ModelUnavailableError} Error with `details.model`
+   */
+  static forState(id, state) {
+    if (state === 'failed') {
+      return new ModelUnavailableError(`The ${id} model failed to load. GET /health shows the reason.`, {
+        code: 'MODEL_LOAD_FAILED', retryable: false, details: { model: id }
+      });
+    }
+    return new ModelUnavailableError(`The ${id} model is not loaded yet. Please try again later.`, {
+      details: { model: id }
+    });
+  }
+}
+
+/**
+ * A model version could not be loaded by a reload or as a shadow candidate;
+ * the version already serving is left in place
+ */
+class ModelLoadError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 422, type: 'MODEL_LOAD_ERROR', code: 'MODEL_LOAD_FAILED', ...options });
+  }
+}
+
+/**
+ * The request conflicts with an operation already in progress
+ */
+class ConflictError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 409, type: 'CONFLICT', code: 'CONFLICT', ...options });
+  }
+}
+
+/**
+ * The service cannot take traffic yet (models loading) or any more (shutting down)
+ */
+class NotReadyError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, type: 'NOT_READY', code: 'NOT_READY', retryable: true, ...options });
+  }
+}
+
+/**
+ * An inference worker thread stopped while handling the request
+ */
+class WorkerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, type: 'WORKER_ERROR', code: 'WORKER_CRASHED', retryable: true, ...options });
+  }
+}
+
+/**
+ * Inference failed on a decoded image
+ */
+class AnalysisError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 422, type: 'ANALYSIS_ERROR', code: 'INFERENCE_FAILED', ...options });
+  }
+}
+
+/**
+ * The queue is at its maximum length
+ */
+class QueueFullError extends ApiError {
+  /**
+   * @param {string} message - Client-safe description
+   * @param {Object} options - Error options, plus `retryAfter` in seconds for the Retry-After header
+   */
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, type: 'QUEUE_FULL', code: 'QUEUE_FULL', retryable: true, ...options });
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * Work dropped because the client went away
+ */
+class CancelledError extends ApiError {
+  constructor(message = 'The request was cancelled before it was processed.', options = {}) {
+    super(message, { statusCode: 499, type: 'REQUEST_CANCELLED', code: 'REQUEST_CANCELLED', ...options });
+  }
+}
+
+/**
+ * Unknown route or resource ID
+ */
+class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 404, type: 'NOT_FOUND', code: 'NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * Missing or invalid credentials (401), or a disabled admin interface (403)
+ */
+class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    const statusCode = options.statusCode || 401;
+    const type = statusCode === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED';
+    super(message, { type, code: type, ...options, statusCode });
+  }
+}
+
+/**
+ * API key rate limit or daily quota used up
+ */
+class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Client-safe description
+   * @param {Object} options - Error options, plus `retryAfter` in seconds for the Retry-After header
+   */
+  constructor(message, options = {}) {
+    super(message, { statusCode: 429, type: 'RATE_LIMITED', code: 'RATE_LIMITED', retryable: true, ...options });
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * A video could not be decoded
+ */
+class VideoProcessingError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 422, type: 'VIDEO_PROCESSING_ERROR', code: 'VIDEO_DECODE_FAILED', ...options });
+  }
+}
+
+/**
+ * No video decoder is installed
+ */
+class DecoderUnavailableError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 503, type: 'DECODER_UNAVAILABLE', code: 'DECODER_UNAVAILABLE', ...options });
+  }
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  InvalidUrlError,
+  UrlBlockedError,
+  FetchError,
+  TimeoutError,
+  PayloadTooLargeError,
+  UnsupportedFormatError,
+  ImageProcessingError,
+  ModelUnavailableError,
+  ModelLoadError,
+  ConflictError,
+  NotReadyError,
+  WorkerError,
+  AnalysisError,
+  QueueFullError,
+  CancelledError,
+  NotFoundError,
+  AuthError,
+  RateLimitError,
+  VideoProcessingError,
+  DecoderUnavailableError
+};
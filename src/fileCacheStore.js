@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+/**
+ * File-backed cache store: one JSON file per entry, so cached results
+ * survive restarts and can be shared by processes on the same host
+ */
+class FileCacheStore {
+  constructor(config = {}) {
+    this.directory = path.resolve(config.directory || './cache');
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.logger = config.logger || new Logger();
+
+    // Periodically remove expired entry files
+    this.cleanupTimer = setInterval(() => {
+      this.prune().catch(error => this.logger.error('Cache cleanup failed', { error: error.message }));
+    }, config.cleanupInterval || 10 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Map a cache key to its file path
+   * @param {string} key - Cache key
+   * @returns {string} Entry file path
+   */
+  filePath(key) {
+    // Keys can contain URL characters, so hash them into safe file names
+    const name = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or null if missing or expired
+   */
+  async get(key) {
+    const file = this.filePath(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await fs.promises.rm(file, { force: true });
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    // Write then rename so readers never see a partial file
+    await fs.promises.writeFile(tempFile, JSON.stringify({ expiresAt: Date.now() + ttl, value }));
+    await fs.promises.rename(tempFile, file);
+  }
+
+  /**
+   * Delete a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Get the number of stored entries (including expired ones not yet pruned)
+   * @returns {Promise<number>} Entry count
+   */
+  async size() {
+    const files = await fs.promises.readdir(this.directory);
+    return files.filter(name => name.endsWith('.json')).length;
+  }
+
+  /**
+   * Remove expired entry files
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const files = await fs.promises.readdir(this.directory);
+    const now = Date.now();
+
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const file = path.join(this.directory, name);
+      try {
+        const { expiresAt } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (expiresAt <= now) {
+          await fs.promises.rm(file, { force: true });
+        }
+      } catch {
+        // Entry was removed or rewritten concurrently
+      }
+    }
+  }
+}
+
+module.exports = FileCacheStore;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PerceptualHash = require('./perceptualHash');
+
+const LISTS = {
+  block: { name: 'blocklist', decision: 'block' },
+  allow: { name: 'allowlist', decision: 'allow' }
+};
+
+/**
+ * Perceptual-hash blocklist and allowlist, persisted as a JSON file
+ */
+class HashList {
+  constructor(config = {}) {
+    this.file = path.resolve(config.file || './data/hash-list.json');
+    this.algorithm = config.algorithm || 'phash';
+    this.threshold = config.threshold !== undefined ? config.threshold : 10;
+
+    if (!['phash', 'dhash'].includes(this.algorithm)) {
+      throw new Error(`Unknown hash algorithm: ${this.algorithm}`);
+    }
+
+    this.entries = this.readFile();
+    // Pending writes, chained so overlapping saves never share the temporary file
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load entries from disk
+   * @returns {Array<Object>} Stored entries
+   */
+  readFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).entries || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to read hash list ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist entries to disk once earlier saves have finished
+   * @returns {Promise<void>}
+   */
+  save() {
+    const write = this.saving.then(() => this.writeFile());
+    this.saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Write entries to disk, writing a temporary file first so a crash never leaves a truncated list
+   * @returns {Promise<void>}
+   */
+  async writeFile() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ entries: this.entries }, null, 2));
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  /**
+   * Check whether a list name is valid
+   * @param {string} list - `block` or `allow`
+   * @returns {boolean} True if valid
+   */
+  static isValidList(list) {
+    return Object.prototype.hasOwnProperty.call(LISTS, list);
+  }
+
+  /**
+   * Add an entry
+   * @param {Object} entry - `{ list, label, phash, dhash }`; at least the configured algorithm's hash is required
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add({ list, label, phash, dhash }) {
+    const stored = {
+      id: crypto.randomUUID(),
+      list,
+      label: label || null,
+      phash: phash ? phash.toLowerCase() : null,
+      dhash: dhash ? dhash.toLowerCase() : null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.push(stored);
+    try {
+      await this.save();
+    } catch (error) {
+      // Keep memory in step with the file: an entry that was not saved must not match
+      this.entries = this.entries.filter(entry => entry !== stored);
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if an entry was removed
+   */
+  async remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [removed] = this.entries.splice(index, 1);
+    try {
+      await this.save();
+    } catch (error) {
+      this.entries.splice(Math.min(index, this.entries.length), 0, removed);
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * List entries, optionally filtered by list
+   * @param {string} [list] - `block` or `allow`
+   * @returns {Array<Object>} Entries
+   */
+  list(list) {
+    return list ? this.entries.filter(entry => entry.list === list) : [...this.entries];
+  }
+
+  /**
+   * Find the closest entry within the match threshold. On equal distance a
+   * blocklist entry wins over an allowlist entry.
+   * @param {Object} hashes - `{ phash, dhash }` of the image
+   * @returns {Object|null} Match with `matchedList`, `distance` and `decision`, or null
+   */
+  match(hashes) {
+    const hash = hashes && hashes[this.algorithm];
+    if (!hash) {
+      return null;
+    }
+
+    let best = null;
+    for (const entry of this.entries) {
+      const entryHash = entry[this.algorithm];
+      if (!entryHash) {
+        continue;
+      }
+
+      const distance = PerceptualHash.distance(hash, entryHash);
+      if (distance > this.threshold) {
+        continue;
+      }
+
+      if (!best || distance < best.distance || (distance === best.distance && entry.list === 'block')) {
+        best = { entry, distance };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      matchedList: LISTS[best.entry.list].name,
+      decision: LISTS[best.entry.list].decision,
+      distance: best.distance,
+      algorithm: this.algorithm,
+      entryId: best.entry.id,
+      label: best.entry.label
+    };
+  }
+
+  /**
+   * Get list sizes
+   * @returns {Object} Entry counts per list
+   */
+  getStats() {
+    return {
+      algorithm: this.algorithm,
+      threshold: this.threshold,
+      blocklist: this.list('block').length,
+      allowlist: this.list('allow').length
+    };
+  }
+}
+
+module.exports = HashList;
@@ -1,27 +1,87 @@
 const axios = require('axios');
 const sharp = require('sharp');
+const UrlPolicy = require('./urlPolicy');
+const Metrics = require('./metrics');
+const {
+  ApiError,
+  ValidationError,
+  InvalidUrlError,
+  FetchError,
+  TimeoutError,
+  PayloadTooLargeError,
+  UnsupportedFormatError,
+  ImageProcessingError
+} = require('./errors');
+
+// Limits for tiles mode: grid 6 already runs 36 inferences per image
+const MAX_TILE_GRID = 6;
+const MAX_TILE_OVERLAP = 0.5;
 
 class ImageProcessor {
   constructor(config = {}) {
     this.maxDimension = config.maxDimension || 1024;
     this.timeout = config.timeout || 30000;
+    this.maxUploadBytes = config.maxUploadBytes || 10 * 1024 * 1024;
+    this.maxDownloadBytes = config.maxDownloadBytes || this.maxUploadBytes;
+    this.maxRedirects = config.maxRedirects !== undefined ? config.maxRedirects : 10;
+    this.urlPolicy = config.urlPolicy || new UrlPolicy();
+    this.metrics = config.metrics || new Metrics();
+    this.frameSampling = {
+      strategy: config.frameStrategy || 'max',
+      step: config.frameStep || 5,
+      maxFrames: config.maxFrames || 10
+    };
+    // Defaults for tiles mode: tiles per side, and the share of a tile that overlaps its neighbour
+    this.tiling = {
+      grid: config.tileGrid || 3,
+      overlap: config.tileOverlap !== undefined ? config.tileOverlap : 0.25
+    };
   }
 
   /**
-   * Fetch image from URL and process it
-   * @param {string} url - Image URL
+   * Fetch or accept an image and process it
+   * @param {string|Buffer} source - Image URL or uploaded image bytes
    * @returns {Promise<Buffer>} Processed image buffer
    */
-  async processImage(url) {
+  async processImage(source) {
+    const { buffer } = await this.loadImage(source);
+    return this.prepareImage(buffer);
+  }
+
+  /**
+   * Fetch or accept an image without transcoding it, e.g. to sample its frames
+   * @param {string|Buffer} source - Image URL or uploaded image bytes
+   * @param {Object} [options] - Fetch options
+   * @param {AbortSignal} [options.signal] - Aborts the download
+   * @returns {Promise<Object>} `{ buffer, headers }` with the original bytes and,
+   *   for URLs, the HTTP response headers (null for uploads)
+   */
+  async loadImage(source, options = {}) {
     try {
-      // Validate URL
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
+      if (Buffer.isBuffer(source)) {
+        return { buffer: this.validateUpload(source), headers: null };
       }
 
-      // Fetch image
-      const imageBuffer = await this.fetchImage(url);
-      
+      return await this.fetchUrl(source, options);
+    } catch (error) {
+      if (options.signal && options.signal.aborted) {
+        throw options.signal.reason;
+      }
+
+      throw error instanceof ApiError
+        ? error
+        : new ImageProcessingError('Failed to load the image.', { cause: error });
+    }
+  }
+
+  /**
+   * Resize or transcode image bytes into a format the model can decode
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @returns {Promise<Buffer>} Processed image buffer
+   */
+  async prepareImage(imageBuffer) {
+    const endTimer = this.metrics.preprocessDuration.startTimer();
+    try {
       // Get image metadata
       const metadata = await sharp(imageBuffer).metadata();
       
@@ -42,59 +102,401 @@ class ImageProcessor {
 
       return imageBuffer;
     } catch (error) {
-      throw new Error(`Image processing failed: ${error.message}`);
+      throw ImageProcessingError.fromSharp(error, 'process the image');
+    } finally {
+      endTimer();
     }
   }
 
+  /**
+   * Choose which frames of a multi-frame image (animated GIF/WebP) to analyze
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @returns {Promise<Object>} `{ totalFrames, indices }`; single-frame images yield `[0]`
+   */
+  async sampleFrames(imageBuffer) {
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+      const totalFrames = metadata.pages || 1;
+
+      return { totalFrames, indices: this.selectFrameIndices(totalFrames) };
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, 'read the image');
+    }
+  }
+
+  /**
+   * Apply the configured sampling strategy to a frame count
+   * @param {number} totalFrames - Number of frames in the image
+   * @returns {Array<number>} Zero-based frame indices
+   */
+  selectFrameIndices(totalFrames) {
+    const { strategy, step, maxFrames } = this.frameSampling;
+    const all = Array.from({ length: totalFrames }, (_, i) => i);
+
+    if (strategy === 'all' || totalFrames <= 1) {
+      return all;
+    }
+
+    if (strategy === 'nth') {
+      return all.filter(i => i % step === 0);
+    }
+
+    // 'max': spread up to maxFrames samples evenly, always including the first and last frame
+    if (totalFrames <= maxFrames) {
+      return all;
+    }
+    if (maxFrames === 1) {
+      return [0];
+    }
+
+    const indices = new Set();
+    for (let i = 0; i < maxFrames; i++) {
+      indices.add(Math.round((i * (totalFrames - 1)) / (maxFrames - 1)));
+    }
+    return Array.from(indices);
+  }
+
+  /**
+   * Extract a single frame as a JPEG the model can decode
+   * @param {Buffer} imageBuffer - Original multi-frame image bytes
+   * @param {number} index - Zero-based frame index
+   * @returns {Promise<Buffer>} JPEG frame buffer
+   */
+  async extractFrame(imageBuffer, index) {
+    const endTimer = this.metrics.preprocessDuration.startTimer();
+    try {
+      return await sharp(imageBuffer, { page: index })
+        .rotate()
+        .resize(this.maxDimension, this.maxDimension, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, `extract frame ${index}`);
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Fill in tile settings a request left out with the configured defaults
+   * @param {Object} [options] - Requested `grid` and `overlap`
+   * @returns {Object} `{ grid, overlap }`
+   */
+  resolveTiling(options = {}) {
+    return {
+      grid: options.grid !== undefined ? options.grid : this.tiling.grid,
+      overlap: options.overlap !== undefined ? options.overlap : this.tiling.overlap
+    };
+  }
+
+  /**
+   * Lay out a grid of overlapping tiles over an image at its original
+   * resolution (the first frame of an animated image)
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {Object} tiling - `{ grid, overlap }` from resolveTiling
+   * @returns {Promise<Object>} `{ width, height, grid, overlap, tiles }`; each tile has `row`, `col`, `x`, `y`, `width` and `height`
+   */
+  async planTiles(imageBuffer, tiling) {
+    let metadata;
+    try {
+      metadata = await sharp(imageBuffer).metadata();
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, 'read the image');
+    }
+
+    // EXIF orientations 5-8 swap width and height once the image is rotated upright
+    const swapped = (metadata.orientation || 1) >= 5;
+    const width = swapped ? metadata.height : metadata.width;
+    const height = swapped ? metadata.width : metadata.height;
+    const { grid, overlap } = tiling;
+
+    const columns = ImageProcessor.tileSpans(width, grid, overlap);
+    const rows = ImageProcessor.tileSpans(height, grid, overlap);
+    const tiles = rows.flatMap((rowSpan, row) => columns.map((columnSpan, col) => ({
+      row,
+      col,
+      x: columnSpan.start,
+      y: rowSpan.start,
+      width: columnSpan.size,
+      height: rowSpan.size
+    })));
+
+    return { width, height, grid, overlap, tiles };
+  }
+
+  /**
+   * Split a length into equal, evenly spaced spans that cover it end to end
+   * @param {number} length - Image width or height in pixels
+   * @param {number} count - Number of spans
+   * @param {number} overlap - Share of a span that overlaps the next one (0 to <1)
+   * @returns {Array<Object>} `{ start, size }` per span
+   */
+  static tileSpans(length, count, overlap) {
+    const size = Math.max(1, Math.min(length, Math.ceil(length / (count - (count - 1) * overlap))));
+    const step = count > 1 ? (length - size) / (count - 1) : 0;
+    return Array.from({ length: count }, (_, i) => ({ start: Math.round(i * step), size }));
+  }
+
+  /**
+   * Crop one tile as a JPEG the model can decode
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {Object} tile - Tile from planTiles
+   * @returns {Promise<Buffer>} JPEG tile buffer
+   */
+  async extractTile(imageBuffer, tile) {
+    const endTimer = this.metrics.preprocessDuration.startTimer();
+    try {
+      // Extracting after rotate() crops the upright image, matching planTiles
+      return await sharp(imageBuffer)
+        .rotate()
+        .extract({ left: tile.x, top: tile.y, width: tile.width, height: tile.height })
+        .resize(this.maxDimension, this.maxDimension, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({ quality: 90 })
+        .toBuffer();
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, `extract tile ${tile.row},${tile.col}`);
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Validate and fetch an image URL
+   * @param {string} url - Image URL
+   * @param {Object} [options] - Fetch options (`signal`)
+   * @returns {Promise<Object>} `{ buffer, headers }`
+   */
+  async fetchUrl(url, options = {}) {
+    if (!this.isValidUrl(url)) {
+      throw new InvalidUrlError();
+    }
+
+    return this.fetchImageResponse(url, options);
+  }
+
+  /**
+   * Check uploaded image bytes against the upload size cap
+   * @param {Buffer} imageBuffer - Uploaded image bytes
+   * @returns {Buffer} The same buffer when valid
+   */
+  validateUpload(imageBuffer) {
+    if (imageBuffer.length === 0) {
+      throw new ValidationError('The uploaded image is empty.', { code: 'EMPTY_UPLOAD' });
+    }
+
+    if (imageBuffer.length > this.maxUploadBytes) {
+      throw new PayloadTooLargeError(`The uploaded image exceeds the maximum size of ${this.maxUploadBytes} bytes.`, {
+        code: 'UPLOAD_TOO_LARGE',
+        details: { limitBytes: this.maxUploadBytes }
+      });
+    }
+
+    return imageBuffer;
+  }
+
+  /**
+   * Decode a base64 data URI into image bytes
+   * @param {string} dataUri - Data URI such as data:image/png;base64,...
+   * @returns {Buffer|null} Decoded bytes, or null if the string is not a base64 image data URI
+   */
+  decodeDataUri(dataUri) {
+    if (typeof dataUri !== 'string') {
+      return null;
+    }
+
+    const match = dataUri.match(/^data:(image\/[a-z0-9.+-]+)?(?:;[a-z0-9=.+-]+)*;base64,([a-z0-9+/=\s]+)$/i);
+    if (!match) {
+      return null;
+    }
+
+    return Buffer.from(match[2], 'base64');
+  }
+
   /**
    * Fetch image from URL
    * @param {string} url - Image URL
+   * @param {Object} [options] - Fetch options (`signal`)
    * @returns {Promise<Buffer>} Image buffer
    */
-  async fetchImage(url) {
+  async fetchImage(url, options = {}) {
+    const { buffer } = await this.fetchImageResponse(url, options);
+    return buffer;
+  }
+
+  /**
+   * Fetch image from URL, keeping the response headers (e.g. for caching).
+   * Redirects are followed one hop at a time so every target passes the URL policy.
+   * @param {string} url - Image URL
+   * @param {Object} [options] - Fetch options
+   * @param {AbortSignal} [options.signal] - Aborts the download; the fetch then rejects with the signal's reason
+   * @returns {Promise<Object>} `{ buffer, headers }`
+   */
+  async fetchImageResponse(url, options = {}) {
+    const { signal: callerSignal } = options;
+    if (callerSignal) {
+      callerSignal.throwIfAborted();
+    }
+
+    const endTimer = this.metrics.fetchDuration.startTimer();
+
+    // Bounds the whole download across redirects, not just the wait for response headers,
+    // and stops it early when the caller aborts
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const onAbort = () => controller.abort();
+    if (callerSignal) {
+      callerSignal.addEventListener('abort', onAbort, { once: true });
+    }
+
     try {
-      const response = await axios({
-        method: 'GET',
-        url: url,
-        responseType: 'arraybuffer',
-        timeout: this.timeout,
-        maxRedirects: 10,
-        // Some image CDNs (e.g., Unsplash) are picky about headers
-        headers: {
-          'User-Agent': 'NSFWJS-API/1.0.0 (+https://localhost) Node.js',
-          'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-          'Accept-Encoding': 'identity',
-          // A permissive referer helps with some hosts that gate hotlinking
-          'Referer': 'https://localhost/'
-        },
-        // Allow axios to treat 2xx only as success; redirects are followed above
-        validateStatus: (status) => status >= 200 && status < 300
-      });
+      let currentUrl = url;
+      const signal = controller.signal;
 
-      if (!response.data || response.data.length === 0) {
-        throw new Error('Empty response from image URL');
-      }
+      for (let redirects = 0; ; redirects++) {
+        this.urlPolicy.checkUrl(currentUrl);
 
-      // Basic content-type validation when provided
-      const contentType = response.headers && response.headers['content-type'];
-      if (contentType && !contentType.startsWith('image/')) {
-        throw new Error(`Unexpected content-type: ${contentType}`);
-      }
+        const response = await axios({
+          method: 'GET',
+          url: currentUrl,
+          responseType: 'stream',
+          timeout: this.timeout,
+          signal,
+          maxRedirects: 0,
+          lookup: this.urlPolicy.lookup,
+          // Some image CDNs (e.g., Unsplash) are picky about headers
+          headers: {
+            'User-Agent': 'NSFWJS-API/1.0.0 (+https://localhost) Node.js',
+            'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+            'Accept-Encoding': 'identity',
+            // A permissive referer helps with some hosts that gate hotlinking
+            'Referer': 'https://localhost/'
+          },
+          // 2xx is success; 3xx is followed below
+          validateStatus: (status) => status >= 200 && status < 400
+        });
+
+        if (response.status >= 300) {
+          response.data.destroy();
+
+          const location = response.headers.location;
+          if (!location) {
+            throw new FetchError(`The image host returned HTTP ${response.status} without a Location header.`, {
+              code: 'INVALID_REDIRECT',
+              retryable: false,
+              details: { upstreamStatus: response.status }
+            });
+          }
+          if (redirects >= this.maxRedirects) {
+            throw new FetchError(`The image URL redirected more than ${this.maxRedirects} times.`, {
+              statusCode: 422,
+              code: 'TOO_MANY_REDIRECTS',
+              retryable: false
+            });
+          }
+
+          currentUrl = new URL(location, currentUrl).toString();
+          continue;
+        }
+
+        // Basic content-type validation when provided
+        const contentType = response.headers && response.headers['content-type'];
+        if (contentType && !contentType.startsWith('image/')) {
+          response.data.destroy();
+          throw new UnsupportedFormatError(`The image URL returned ${contentType} instead of an image.`, {
+            code: 'UNSUPPORTED_CONTENT_TYPE',
+            details: { contentType }
+          });
+        }
+
+        const buffer = await this.readLimited(response.data, response.headers['content-length']);
+        if (buffer.length === 0) {
+          throw new FetchError('The image URL returned an empty response.', {
+            statusCode: 422,
+            code: 'EMPTY_RESPONSE',
+            retryable: false
+          });
+        }
 
-      return Buffer.from(response.data);
+        return { buffer, headers: response.headers || {} };
+      }
     } catch (error) {
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout - image took too long to download');
+      if (callerSignal && callerSignal.aborted) {
+        throw callerSignal.reason;
+      } else if (error instanceof ApiError) {
+        throw error;
+      } else if (error.cause instanceof ApiError) {
+        // Raised inside axios, e.g. by the URL policy's DNS lookup
+        throw error.cause;
+      } else if (error.code === 'ECONNABORTED' || error.code === 'ERR_CANCELED') {
+        throw new TimeoutError('The image took too long to download.', { code: 'FETCH_TIMEOUT' });
       } else if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+        throw FetchError.fromStatus(error.response.status);
       } else if (error.code === 'ENOTFOUND') {
-        throw new Error('Image URL not found');
+        throw new FetchError('The image host could not be found.', {
+          statusCode: 422,
+          code: 'HOST_NOT_FOUND',
+          retryable: false
+        });
       } else {
-        throw new Error(`Failed to fetch image: ${error.message}`);
+        throw new FetchError('The image could not be downloaded.', {
+          code: 'CONNECTION_FAILED',
+          details: error.code ? { reason: error.code } : null,
+          cause: error
+        });
+      }
+    } finally {
+      clearTimeout(timeoutId);
+      if (callerSignal) {
+        callerSignal.removeEventListener('abort', onAbort);
       }
+      endTimer();
     }
   }
 
+  /**
+   * Buffer a response body, aborting as soon as it exceeds the download limit
+   * @param {Stream} stream - Response body stream
+   * @param {string} [contentLength] - Declared Content-Length header
+   * @returns {Promise<Buffer>} Response body
+   */
+  async readLimited(stream, contentLength) {
+    if (parseInt(contentLength) > this.maxDownloadBytes) {
+      stream.destroy();
+      throw this.downloadTooLarge();
+    }
+
+    const chunks = [];
+    let total = 0;
+
+    for await (const chunk of stream) {
+      total += chunk.length;
+      if (total > this.maxDownloadBytes) {
+        // Leaving the loop destroys the stream and closes the connection
+        throw this.downloadTooLarge();
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks, total);
+  }
+
+  /**
+   * Create the error for a download over maxDownloadBytes
+   * @returns {PayloadTooLargeError} Error with the limit in `details`
+   */
+  downloadTooLarge() {
+    return new PayloadTooLargeError(`The image exceeds the maximum download size of ${this.maxDownloadBytes} bytes.`, {
+      code: 'DOWNLOAD_TOO_LARGE',
+      details: { limitBytes: this.maxDownloadBytes }
+    });
+  }
+
   /**
    * Resize image while maintaining aspect ratio
    * @param {Buffer} imageBuffer - Original image buffer
@@ -126,7 +528,7 @@ class ImageProcessor {
 
       return resizedBuffer;
     } catch (error) {
-      throw new Error(`Image resizing failed: ${error.message}`);
+      throw ImageProcessingError.fromSharp(error, 'resize the image');
     }
   }
 
@@ -158,12 +560,16 @@ class ImageProcessor {
         height: metadata.height,
         format: metadata.format,
         size: imageBuffer.length,
+        frames: metadata.pages || 1,
         needsResizing: metadata.width > this.maxDimension || metadata.height > this.maxDimension
       };
     } catch (error) {
-      throw new Error(`Failed to get image metadata: ${error.message}`);
+      throw ImageProcessingError.fromSharp(error, 'read the image metadata');
     }
   }
 }
 
+ImageProcessor.MAX_TILE_GRID = MAX_TILE_GRID;
+ImageProcessor.MAX_TILE_OVERLAP = MAX_TILE_OVERLAP;
+
 module.exports = ImageProcessor;
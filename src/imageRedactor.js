@@ -0,0 +1,144 @@
+const sharp = require('sharp');
+const Metrics = require('./metrics');
+const { ValidationError, ImageProcessingError } = require('./errors');
+
+const EFFECTS = ['blur', 'pixelate'];
+
+// Output formats and their content types
+const FORMATS = {
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  png: 'image/png'
+};
+
+/**
+ * Renders censored previews of images: blurred or pixelated, upright and
+ * no larger than maxDimension
+ */
+class ImageRedactor {
+  constructor(config = {}) {
+    this.effect = config.effect || 'blur';
+    // Blur radius or pixel block size, in thousandths of the image's longer side
+    this.strength = config.strength || 50;
+    this.format = config.format || 'jpeg';
+    this.quality = config.quality || 80;
+    this.maxDimension = config.maxDimension || 1024;
+    this.metrics = config.metrics || new Metrics();
+  }
+
+  /**
+   * Fill in redaction settings a request left out with the configured defaults
+   * @param {Object} [options] - Requested `effect`, `strength` and `format`
+   * @returns {Object} `{ effect, strength, format }`
+   * @throws {ValidationError} If a setting is out of range
+   */
+  resolveOptions(options = {}) {
+    const effect = options.effect !== undefined ? options.effect : this.effect;
+    const strength = options.strength !== undefined ? Number(options.strength) : this.strength;
+    const format = options.format !== undefined ? options.format : this.format;
+
+    if (!EFFECTS.includes(effect)) {
+      throw new ValidationError(`effect must be one of: ${EFFECTS.join(', ')}`);
+    }
+    if (!(Number.isInteger(strength) && strength >= 1 && strength <= 100)) {
+      throw new ValidationError('strength must be an integer from 1 to 100');
+    }
+    if (!FORMATS[format]) {
+      throw new ValidationError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    return { effect, strength, format };
+  }
+
+  /**
+   * Blur or pixelate an image
+   * @param {Buffer} imageBuffer - Original image bytes (the first frame of an animated image is used)
+   * @param {Object} options - Settings from resolveOptions
+   * @returns {Promise<Object>} `{ buffer, contentType, width, height }`
+   */
+  async redact(imageBuffer, options) {
+    return this.render(imageBuffer, options, async ({ data, info }) => {
+      const amount = (Math.max(info.width, info.height) * options.strength) / 1000;
+      const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+
+      if (options.effect === 'pixelate') {
+        // Shrink to one pixel per block, then scale back up without smoothing
+        const block = Math.max(2, Math.round(amount));
+        const small = await sharp(data, raw)
+          .resize(Math.max(1, Math.round(info.width / block)), Math.max(1, Math.round(info.height / block)), { fit: 'fill' })
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+
+        return sharp(small.data, { raw: { width: small.info.width, height: small.info.height, channels: small.info.channels } })
+          .resize(info.width, info.height, { fit: 'fill', kernel: 'nearest' });
+      }
+
+      // sharp accepts sigmas from 0.3
+      return sharp(data, raw).blur(Math.max(0.3, amount));
+    });
+  }
+
+  /**
+   * Re-encode an image without an effect, e.g. when it does not need redacting
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {Object} options - Settings from resolveOptions; only `format` is used
+   * @returns {Promise<Object>} `{ buffer, contentType, width, height }`
+   */
+  async transcode(imageBuffer, options) {
+    return this.render(imageBuffer, options, ({ data, info }) => sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    }));
+  }
+
+  /**
+   * Decode, orient and downscale an image, apply an effect and encode the result
+   * @param {Buffer} imageBuffer - Original image bytes
+   * @param {Object} options - Settings from resolveOptions
+   * @param {Function} applyEffect - Async function taking raw `{ data, info }` pixels and returning a sharp instance
+   * @returns {Promise<Object>} `{ buffer, contentType, width, height }`
+   */
+  async render(imageBuffer, options, applyEffect) {
+    const endTimer = this.metrics.preprocessDuration.startTimer();
+    try {
+      const pixels = await sharp(imageBuffer)
+        .rotate()
+        .resize(this.maxDimension, this.maxDimension, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const image = await applyEffect(pixels);
+      const { data, info } = await this.encode(image, options.format).toBuffer({ resolveWithObject: true });
+
+      return { buffer: data, contentType: FORMATS[options.format], width: info.width, height: info.height };
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, 'redact the image');
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Set the output format on a sharp instance
+   * @param {Object} image - sharp instance
+   * @param {string} format - `jpeg`, `webp` or `png`
+   * @returns {Object} The sharp instance
+   */
+  encode(image, format) {
+    if (format === 'png') {
+      return image.png();
+    }
+    if (format === 'webp') {
+      return image.webp({ quality: this.quality });
+    }
+    // JPEG has no alpha channel
+    return image.flatten({ background: '#ffffff' }).jpeg({ quality: this.quality });
+  }
+}
+
+ImageRedactor.EFFECTS = EFFECTS;
+ImageRedactor.FORMATS = FORMATS;
+
+module.exports = ImageRedactor;
@@ -0,0 +1,156 @@
+const tf = require('@tensorflow/tfjs-node');
+const { NSFW_CLASSES } = require('nsfwjs/dist/nsfw_classes');
+const Metrics = require('./metrics');
+
+/**
+ * Micro-batching in front of the models. Image tensors that arrive close
+ * together for the same model are stacked into one batch and classified with
+ * a single forward pass, which is much cheaper per image on CPU.
+ */
+class InferenceBatcher {
+  constructor(config = {}) {
+    // A batch runs once it holds maxBatchSize images or its first image has waited maxWait ms
+    this.maxBatchSize = config.maxBatchSize || 1;
+    this.maxWait = config.maxWait !== undefined ? config.maxWait : 5;
+    this.metrics = config.metrics || new Metrics();
+    // Open batches by model ID
+    this.pending = new Map();
+    this.stats = {
+      batches: 0,
+      images: 0,
+      full: 0
+    };
+  }
+
+  /**
+   * Classify one decoded image as part of the next batch for its model
+   * @param {Object} entry - Model registry entry (`id`, `model`, `size`)
+   * @param {Object} imageTensor - Decoded int32 tensor of shape [height, width, 3]; the caller disposes it
+   * @returns {Promise<Array<Object>>} `{ className, probability }` for every class, most likely first
+   */
+  classify(entry, imageTensor) {
+    // Without batching, keep nsfwjs's own single-image path
+    if (this.maxBatchSize <= 1) {
+      this.record(1);
+      return entry.model.classify(imageTensor);
+    }
+
+    return new Promise((resolve, reject) => {
+      let batch = this.pending.get(entry.id);
+      if (!batch) {
+        batch = { entry, items: [], timer: null };
+        batch.timer = setTimeout(() => this.flush(batch), this.maxWait);
+        this.pending.set(entry.id, batch);
+      }
+
+      batch.items.push({ imageTensor, resolve, reject });
+      if (batch.items.length >= this.maxBatchSize) {
+        this.flush(batch);
+      }
+    });
+  }
+
+  /**
+   * Close a batch and run it
+   * @param {Object} batch - Open batch
+   */
+  flush(batch) {
+    clearTimeout(batch.timer);
+    if (this.pending.get(batch.entry.id) === batch) {
+      this.pending.delete(batch.entry.id);
+    }
+
+    this.record(batch.items.length);
+    this.run(batch.entry, batch.items.map(item => item.imageTensor)).then(
+      (results) => batch.items.forEach((item, index) => item.resolve(results[index])),
+      (error) => batch.items.forEach(item => item.reject(error))
+    );
+  }
+
+  /**
+   * Classify images with one forward pass. Preprocessing matches nsfwjs's
+   * `classify`: scale to [0, 1] and resize to the model's input size.
+   * @param {Object} entry - Model registry entry
+   * @param {Array<Object>} imageTensors - Decoded image tensors
+   * @returns {Promise<Array<Array<Object>>>} Predictions per image, in input order
+   */
+  async run(entry, imageTensors) {
+    const { size } = entry;
+    const logits = tf.tidy(() => {
+      const inputs = imageTensors.map(imageTensor => {
+        const normalized = imageTensor.toFloat().div(255);
+        return imageTensor.shape[0] === size && imageTensor.shape[1] === size
+          ? normalized
+          : tf.image.resizeBilinear(normalized, [size, size], true);
+      });
+      return entry.model.model.predict(tf.stack(inputs));
+    });
+
+    try {
+      const rows = await logits.array();
+      return rows.map(row => row
+        .map((probability, index) => ({ className: NSFW_CLASSES[index], probability }))
+        .sort((a, b) => b.probability - a.probability));
+    } finally {
+      logits.dispose();
+    }
+  }
+
+  /**
+   * Count a forward pass
+   * @param {number} size - Images in the batch
+   */
+  record(size) {
+    this.stats.batches++;
+    this.stats.images += size;
+    if (size >= this.maxBatchSize) {
+      this.stats.full++;
+    }
+    this.metrics.inferenceBatchSize.observe(size);
+  }
+
+  /**
+   * Get batching statistics
+   * @returns {Object} Counters plus average batch size and occupancy (average size / maxBatchSize)
+   */
+  getStats() {
+    return InferenceBatcher.summarize({
+      maxBatchSize: this.maxBatchSize,
+      maxWait: this.maxWait,
+      ...this.stats,
+      waiting: Array.from(this.pending.values()).reduce((count, batch) => count + batch.items.length, 0)
+    });
+  }
+
+  /**
+   * Add the derived averages to batch counters
+   * @param {Object} stats - `{ maxBatchSize, maxWait, batches, images, full, waiting }`
+   * @returns {Object} Stats with averageBatchSize and occupancy
+   */
+  static summarize(stats) {
+    const averageBatchSize = stats.batches > 0 ? stats.images / stats.batches : 0;
+    return {
+      ...stats,
+      averageBatchSize: Math.round(averageBatchSize * 100) / 100,
+      occupancy: Math.round((averageBatchSize / stats.maxBatchSize) * 10000) / 10000
+    };
+  }
+
+  /**
+   * Combine the stats of several batchers, e.g. one per worker thread
+   * @param {Array<Object>} statsList - Results of getStats
+   * @param {Object} settings - `{ maxBatchSize, maxWait }` shared by the batchers
+   * @returns {Object} Summed counters with recomputed averages
+   */
+  static combineStats(statsList, settings) {
+    const totals = { batches: 0, images: 0, full: 0, waiting: 0 };
+    for (const stats of statsList) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += stats[key];
+      }
+    }
+    return InferenceBatcher.summarize({ maxBatchSize: settings.maxBatchSize, maxWait: settings.maxWait, ...totals });
+  }
+}
+
+module.exports = InferenceBatcher;
@@ -0,0 +1,132 @@
+/**
+ * Worker thread entry point for WorkerPool. Each worker loads its own copy of
+ * the enabled models and decodes and classifies images sent by the main thread,
+ * so neither step blocks the main event loop.
+ *
+ * Messages to the main thread:
+ * - `{ type: 'status', models, memory, batches }` whenever a model changes state
+ * - `{ type: 'loaded' }` once every model is ready or out of load attempts
+ * - `{ type: 'batch', size }` for every forward pass, for the batch size metric
+ * - `{ type: 'result', taskId, predictions | error, memory, leakedTensors, batches }`
+ * - `{ type: 'command', requestId, error? }` once a model command has finished
+ */
+const { parentPort, workerData } = require('worker_threads');
+const tf = require('@tensorflow/tfjs-node');
+const ModelRegistry = require('./modelRegistry');
+const InferenceBatcher = require('./inferenceBatcher');
+const Logger = require('./logger');
+
+const logger = new Logger({ ...workerData.logger, fields: { worker: workerData.workerId } });
+
+const batcher = new InferenceBatcher({
+  ...workerData.batcher,
+  // The main thread owns the Prometheus registry
+  metrics: {
+    inferenceBatchSize: { observe: (size) => parentPort.postMessage({ type: 'batch', size }) }
+  }
+});
+
+const registry = new ModelRegistry({
+  ...workerData.registry,
+  logger,
+  onStateChange: (models) => parentPort.postMessage({ type: 'status', models, memory: getMemory(), batches: batcher.getStats() })
+});
+
+// Tensors held by the loaded models; anything above this while idle is a leak
+let baselineTensors = null;
+let inFlight = 0;
+
+/**
+ * Get this thread's TensorFlow.js memory use
+ * @returns {Object} `{ numTensors, numBytes }`
+ */
+function getMemory() {
+  const { numTensors, numBytes } = tf.memory();
+  return { numTensors, numBytes };
+}
+
+/**
+ * Copy an error into a message; typed errors keep their status, type and code
+ * so WorkerPool can rebuild them
+ * @param {Error} error - Error thrown in the worker
+ * @returns {Object} `{ name, message, type, code, statusCode, retryable, details }`
+ */
+function serializeError(error) {
+  const { name, message, type, code, statusCode, retryable, details } = error;
+  return { name, message, type, code, statusCode, retryable, details };
+}
+
+/**
+ * Decode and classify one image
+ * @param {Object} message - `{ taskId, modelId, image, candidate }`; `candidate` uses the model's shadow candidate
+ * @returns {Promise<void>}
+ */
+async function classify({ taskId, modelId, image, candidate }) {
+  inFlight++;
+  let imageTensor = null;
+  const response = { type: 'result', taskId };
+
+  try {
+    const entry = candidate ? registry.getCandidate(modelId) : registry.get(modelId);
+    imageTensor = tf.node.decodeImage(image, 3);
+    response.predictions = await batcher.classify(entry, imageTensor);
+  } catch (error) {
+    response.error = serializeError(error);
+  } finally {
+    if (imageTensor) {
+      imageTensor.dispose();
+    }
+    inFlight--;
+  }
+
+  response.memory = getMemory();
+  response.batches = batcher.getStats();
+  // Only meaningful when nothing else holds tensors
+  response.leakedTensors = inFlight === 0 && baselineTensors !== null
+    ? Math.max(0, response.memory.numTensors - baselineTensors)
+    : 0;
+  parentPort.postMessage(response);
+}
+
+// Model commands sent by WorkerPool.command
+const COMMANDS = {
+  reload: (modelId, dir) => registry.reload(modelId, dir),
+  candidate: (modelId, dir) => registry.loadCandidate(modelId, dir),
+  drop: (modelId) => registry.dropCandidate(modelId),
+  promote: (modelId) => registry.promoteCandidate(modelId)
+};
+
+/**
+ * Run a model command once the initial load has finished
+ * @param {Object} message - `{ requestId, action, modelId, dir }`
+ * @returns {Promise<void>}
+ */
+async function runCommand({ requestId, action, modelId, dir }) {
+  const response = { type: 'command', requestId };
+
+  try {
+    await loaded;
+    const before = tf.memory().numTensors;
+    await COMMANDS[action](modelId, dir);
+    // Loading or dropping weights is not a leak
+    baselineTensors += tf.memory().numTensors - before;
+  } catch (error) {
+    response.error = serializeError(error);
+  }
+
+  response.memory = getMemory();
+  parentPort.postMessage(response);
+}
+
+parentPort.on('message', (message) => {
+  if (message.type === 'classify') {
+    classify(message);
+  } else if (message.type === 'command') {
+    runCommand(message);
+  }
+});
+
+const loaded = registry.identifyAll().then(() => registry.loadAll()).then(() => {
+  baselineTensors = tf.memory().numTensors;
+  parentPort.postMessage({ type: 'loaded' });
+});
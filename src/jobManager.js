@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const ErrorHandler = require('./errorHandler');
+const { ValidationError, NotFoundError } = require('./errors');
+const MemoryJobStore = require('./jobStore');
+const Logger = require('./logger');
+const UrlPolicy = require('./urlPolicy');
+
+class JobManager {
+  constructor(config = {}) {
+    this.queueManager = config.queueManager;
+    this.store = config.store || new MemoryJobStore({ ttl: config.ttl });
+    this.webhookSecret = config.webhookSecret || null;
+    this.callbackTimeout = config.callbackTimeout || 10000;
+    this.callbackMaxAttempts = config.callbackMaxAttempts || 5;
+    this.callbackBackoff = config.callbackBackoff || 1000;
+    this.logger = config.logger || new Logger();
+    // Callbacks go out from the server, so they get the same checks as image URLs
+    this.urlPolicy = config.urlPolicy || new UrlPolicy();
+  }
+
+  /**
+   * Create a job and queue its work in the background
+   * @param {Function} worker - Async function producing the job result; it receives the queue's `{ signal }`
+   * @param {Object} options - Job options
+   * @param {string} [options.callbackUrl] - URL to POST the finished job to
+   * @param {Object} [options.metadata] - Extra fields stored on the job record
+   * @param {number} [options.priority] - Queue priority
+   * @returns {Promise<Object>} Newly created job record
+   * @throws {UrlBlockedError} If the callback URL points to a blocked host, port or address
+   */
+  async createJob(worker, options = {}) {
+    if (options.callbackUrl && !this.webhookSecret) {
+      throw new ValidationError('callbackUrl requires WEBHOOK_SECRET to be configured on the server', { code: 'CALLBACKS_DISABLED' });
+    }
+    if (options.callbackUrl) {
+      this.urlPolicy.checkUrl(options.callbackUrl);
+    }
+
+    const job = await this.store.create({
+      id: crypto.randomUUID(),
+      status: 'queued',
+      ...options.metadata,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      callback: options.callbackUrl
+        ? { url: options.callbackUrl, status: 'pending', attempts: 0, lastError: null }
+        : null
+    });
+
+    this.runJob(job.id, worker, { priority: options.priority }).catch(error => {
+      // Recording the outcome failed, e.g. because the job store is unavailable
+      this.logger.error('Could not record the job outcome', { jobId: job.id, error: error.message });
+      this.store.update(job.id, {
+        status: 'failed',
+        error: ErrorHandler.categorizeError(error),
+        completedAt: new Date().toISOString()
+      }).catch(() => {});
+    });
+
+    return job;
+  }
+
+  /**
+   * Get a job record
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Job record
+   */
+  async getJob(id) {
+    const job = await this.store.get(id);
+    if (!job) {
+      throw new NotFoundError('No job exists with the given ID. Finished jobs expire after JOB_TTL.', {
+        type: 'JOB_NOT_FOUND', code: 'JOB_NOT_FOUND'
+      });
+    }
+    return job;
+  }
+
+  /**
+   * Run a job through the queue and record its outcome
+   * @param {string} id - Job ID
+   * @param {Function} worker - Async worker function
+   * @param {Object} queueOptions - Queue task options
+   * @returns {Promise<void>}
+   */
+  async runJob(id, worker, queueOptions = {}) {
+    let job;
+    try {
+      const result = await this.queueManager.addTask(async (task) => {
+        await this.store.update(id, { status: 'running', startedAt: new Date().toISOString() });
+        return worker(task);
+      }, queueOptions);
+
+      job = await this.store.update(id, {
+        status: 'done',
+        result,
+        completedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      job = await this.store.update(id, {
+        status: 'failed',
+        error: ErrorHandler.categorizeError(error),
+        completedAt: new Date().toISOString()
+      });
+    }
+
+    if (job && job.callback) {
+      this.deliverCallback(job).catch(error => {
+        this.logger.error('Callback delivery failed', { jobId: id, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * POST the finished job to its callback URL, retrying with exponential backoff
+   * @param {Object} job - Finished job record
+   * @returns {Promise<void>}
+   */
+  async deliverCallback(job) {
+    const { callback, ...payload } = job;
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= this.callbackMaxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      try {
+        await axios({
+          method: 'POST',
+          url: callback.url,
+          data: body,
+          timeout: this.callbackTimeout,
+          maxRedirects: 0,
+          // Refuses hosts that resolve to private addresses by the time the job finishes
+          lookup: this.urlPolicy.lookup,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'NSFWJS-API/1.0.0 (+https://localhost) Node.js',
+            'X-NSFW-Job-Id': job.id,
+            'X-NSFW-Timestamp': timestamp,
+            'X-NSFW-Signature': `sha256=${this.sign(timestamp, body)}`
+          },
+          validateStatus: (status) => status >= 200 && status < 300
+        });
+
+        await this.store.update(job.id, {
+          callback: { ...callback, status: 'delivered', attempts: attempt, lastError: null }
+        });
+        return;
+      } catch (error) {
+        const lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+        const exhausted = attempt === this.callbackMaxAttempts;
+
+        await this.store.update(job.id, {
+          callback: { ...callback, status: exhausted ? 'failed' : 'pending', attempts: attempt, lastError }
+        });
+
+        if (exhausted) {
+          throw new Error(`Callback to ${callback.url} failed after ${attempt} attempts: ${lastError}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.callbackBackoff * Math.pow(2, attempt - 1)));
+      }
+    }
+  }
+
+  /**
+   * Compute the webhook signature for a callback body
+   * @param {string} timestamp - Unix timestamp (seconds) sent in X-NSFW-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex-encoded HMAC-SHA256 of `${timestamp}.${body}`
+   */
+  sign(timestamp, body) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+}
+
+module.exports = JobManager;
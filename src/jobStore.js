@@ -0,0 +1,75 @@
+/**
+ * In-memory job record store.
+ *
+ * Any object implementing the same async create/get/update/delete methods
+ * can be passed to JobManager instead, e.g. one backed by Redis or a database.
+ */
+class MemoryJobStore {
+  constructor(config = {}) {
+    this.ttl = config.ttl || 60 * 60 * 1000;
+    this.jobs = new Map();
+
+    // Periodically drop finished jobs older than the TTL
+    this.cleanupTimer = setInterval(() => this.prune(), Math.min(this.ttl, 60 * 1000));
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Store a new job record
+   * @param {Object} job - Job record with an `id`
+   * @returns {Promise<Object>} Stored job
+   */
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    return { ...job };
+  }
+
+  /**
+   * Get a job record
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job record, or null if unknown
+   */
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Merge changes into a job record
+   * @param {string} id - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated job, or null if unknown
+   */
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes);
+    return { ...job };
+  }
+
+  /**
+   * Delete a job record
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} True if a job was deleted
+   */
+  async delete(id) {
+    return this.jobs.delete(id);
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = MemoryJobStore;
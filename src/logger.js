@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * Structured logger writing one JSON object per line
+ */
+class Logger {
+  constructor(config = {}) {
+    this.level = LEVELS[config.level] !== undefined ? config.level : 'info';
+    // Replace image URLs in log lines with their origin and a hash
+    this.redactUrls = config.redactUrls || false;
+    this.stream = config.stream || process.stdout;
+    this.fields = config.fields || {};
+  }
+
+  /**
+   * Check whether a level name is known
+   * @param {string} level - Level name
+   * @returns {boolean} True for debug, info, warn, error and silent
+   */
+  static isValidLevel(level) {
+    return LEVELS[level] !== undefined;
+  }
+
+  /**
+   * Create a logger that adds fixed fields to every line, e.g. a request ID
+   * @param {Object} fields - Fields to add
+   * @returns {Logger} Child logger sharing this logger's settings
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      redactUrls: this.redactUrls,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields }
+    });
+  }
+
+  /**
+   * Check whether lines at a level are written
+   * @param {string} level - Level name
+   * @returns {boolean} True if the level is at or above the configured level
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * Write a log line
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields; an `error` field is serialized with its message and stack
+   */
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...fields
+    };
+
+    if (fields.error instanceof Error) {
+      entry.error = { message: fields.error.message, stack: fields.error.stack };
+    }
+
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Write a debug line
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write an info line
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * Write a warning line
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * Write an error line
+   * @param {string} message - Log message
+   * @param {Object} [fields] - Extra fields
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Prepare an image URL for logging. With redaction on, only the origin is
+   * kept, plus a hash so repeated requests for the same URL can be correlated.
+   * @param {string} url - Image URL
+   * @returns {string} URL to log
+   */
+  redactUrl(url) {
+    if (!this.redactUrls) {
+      return url;
+    }
+
+    const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+    try {
+      return `${new URL(url).origin}/[redacted:${hash}]`;
+    } catch {
+      return `[redacted:${hash}]`;
+    }
+  }
+}
+
+module.exports = Logger;
@@ -0,0 +1,69 @@
+/**
+ * In-memory LRU cache store with per-entry expiry
+ */
+class MemoryCacheStore {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 10000;
+    // Map iteration order doubles as recency order: oldest first
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Delete a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Get the number of stored entries (including expired ones not yet evicted)
+   * @returns {Promise<number>} Entry count
+   */
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheStore;
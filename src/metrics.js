@@ -0,0 +1,146 @@
+const client = require('prom-client');
+
+class Metrics {
+  constructor(config = {}) {
+    this.registry = new client.Registry();
+    this.sources = {};
+
+    if (config.collectDefaultMetrics) {
+      // Process CPU, memory, event loop lag and GC
+      client.collectDefaultMetrics({ register: this.registry });
+    }
+
+    this.fetchDuration = new client.Histogram({
+      name: 'nsfw_fetch_duration_seconds',
+      help: 'Time spent downloading images from URLs',
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+      registers: [this.registry]
+    });
+
+    this.preprocessDuration = new client.Histogram({
+      name: 'nsfw_preprocess_duration_seconds',
+      help: 'Time spent resizing, transcoding or extracting frames before inference',
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+      registers: [this.registry]
+    });
+
+    this.inferenceDuration = new client.Histogram({
+      name: 'nsfw_inference_duration_seconds',
+      help: 'Time spent decoding and classifying an image with a model',
+      labelNames: ['model'],
+      buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+      registers: [this.registry]
+    });
+
+    this.inferenceBatchSize = new client.Histogram({
+      name: 'nsfw_inference_batch_size',
+      help: 'Images per forward pass when inference is micro-batched',
+      buckets: [1, 2, 4, 8, 16, 32, 64],
+      registers: [this.registry]
+    });
+
+    this.errors = new client.Counter({
+      name: 'nsfw_errors_total',
+      help: 'Errors returned to clients, by ErrorHandler error type',
+      labelNames: ['type'],
+      registers: [this.registry]
+    });
+
+    this.assessments = new client.Counter({
+      name: 'nsfw_assessments_total',
+      help: 'Analyzed images by policy outcome',
+      labelNames: ['policy', 'outcome'],
+      registers: [this.registry]
+    });
+
+    this.shadowComparisons = new client.Counter({
+      name: 'nsfw_shadow_comparisons_total',
+      help: 'Images also classified by a shadow candidate model, by whether the policy outcomes agreed',
+      labelNames: ['model', 'result'],
+      registers: [this.registry]
+    });
+
+    // The gauges below are read from the tracked components at scrape time
+    const metrics = this;
+
+    new client.Gauge({
+      name: 'nsfw_queue_depth',
+      help: 'Tasks waiting in the queue',
+      registers: [this.registry],
+      collect() {
+        if (metrics.sources.queueManager) {
+          this.set(metrics.sources.queueManager.getStats().size);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'nsfw_queue_running',
+      help: 'Tasks currently running',
+      registers: [this.registry],
+      collect() {
+        if (metrics.sources.queueManager) {
+          this.set(metrics.sources.queueManager.running);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'nsfw_tfjs_tensors',
+      help: 'Tensors currently allocated by TensorFlow.js',
+      registers: [this.registry],
+      collect() {
+        if (metrics.sources.nsfwAnalyzer) {
+          this.set(metrics.sources.nsfwAnalyzer.getMemory().numTensors);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'nsfw_tfjs_memory_bytes',
+      help: 'Bytes allocated by TensorFlow.js tensors',
+      registers: [this.registry],
+      collect() {
+        if (metrics.sources.nsfwAnalyzer) {
+          this.set(metrics.sources.nsfwAnalyzer.getMemory().numBytes);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'nsfw_model_load_seconds',
+      help: 'Time it took to load each model',
+      labelNames: ['model'],
+      registers: [this.registry],
+      collect() {
+        if (!metrics.sources.nsfwAnalyzer) {
+          return;
+        }
+        this.reset();
+        for (const [model, status] of Object.entries(metrics.sources.nsfwAnalyzer.getModelStatus().models)) {
+          if (status.isLoaded) {
+            this.set({ model }, status.loadTime / 1000);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Register the components that scrape-time gauges read from
+   * @param {Object} sources - `{ queueManager, nsfwAnalyzer }`
+   */
+  track(sources) {
+    Object.assign(this.sources, sources);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
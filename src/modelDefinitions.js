@@ -0,0 +1,13 @@
+/**
+ * Models bundled under ./models, keyed by directory name.
+ * `size` is the square input resolution each network was trained on and
+ * `type` selects between tfjs layers and graph model loaders.
+ *
+ * Kept apart from ModelRegistry so tools that only inspect model files,
+ * such as the models CLI, do not load TensorFlow.js.
+ */
+module.exports = {
+  inception_v3: { size: 299, type: 'layers' },
+  mobilenet_v2: { size: 224, type: 'layers' },
+  mobilenet_v2_mid: { size: 224, type: 'graph' }
+};
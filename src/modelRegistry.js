@@ -0,0 +1,572 @@
+const path = require('path');
+const nsfwjs = require('nsfwjs');
+const tf = require('@tensorflow/tfjs-node');
+const Logger = require('./logger');
+const ModelStore = require('./modelStore');
+const { ValidationError, ModelUnavailableError, ModelLoadError, NotFoundError } = require('./errors');
+
+const MODEL_DEFINITIONS = require('./modelDefinitions');
+
+class ModelRegistry {
+  constructor(config = {}) {
+    this.modelsDir = config.modelsDir || './models';
+    this.defaultModel = config.defaultModel || 'inception_v3';
+    this.logger = config.logger || new Logger();
+    // Failed loads are retried with exponential backoff, up to loadAttempts tries in total
+    this.loadAttempts = config.loadAttempts || 5;
+    this.loadRetryDelay = config.loadRetryDelay || 1000;
+    this.loadRetryMaxDelay = config.loadRetryMaxDelay || 30000;
+    // Called with getStatus() whenever a model changes state, e.g. to report it from a worker thread
+    this.onStateChange = config.onStateChange || null;
+    this.store = new ModelStore({ modelsDir: this.modelsDir });
+    // Directories to load instead of MODELS_DIR/<id>, and shadow candidates to
+    // load next to the serving versions, by model ID. Set for worker threads
+    // started after a reload so they serve the same versions.
+    const sources = config.sources || {};
+    this.candidateSources = { ...config.candidates };
+
+    const requested = config.models && config.models.length > 0
+      ? config.models
+      : [this.defaultModel];
+    const modelIds = requested.includes('all') ? Object.keys(MODEL_DEFINITIONS) : requested;
+
+    if (!MODEL_DEFINITIONS[this.defaultModel]) {
+      throw new Error(`Unknown default model: ${this.defaultModel}`);
+    }
+    if (!modelIds.includes(this.defaultModel)) {
+      modelIds.unshift(this.defaultModel);
+    }
+
+    this.entries = new Map();
+    for (const id of modelIds) {
+      const definition = MODEL_DEFINITIONS[id];
+      if (!definition) {
+        throw new Error(`Unknown model: ${id}. Available models: ${Object.keys(MODEL_DEFINITIONS).join(', ')}`);
+      }
+
+      this.entries.set(id, {
+        id,
+        ...definition,
+        dir: path.resolve(sources[id] || path.join(this.modelsDir, id)),
+        model: null,
+        // Fingerprint of the files in dir, see ModelStore.fingerprint
+        version: null,
+        // pending -> loading -> ready, or retrying between attempts and failed once they are used up
+        state: 'pending',
+        attempts: 0,
+        isLoaded: false,
+        loadTime: null,
+        error: null,
+        // Result of the last file check: `{ ok, problems }`
+        integrity: null,
+        reloadedAt: null,
+        // Shadow candidate: another version loaded next to this one, see loadCandidate
+        candidate: null
+      });
+    }
+  }
+
+  /**
+   * Load every enabled model, one at a time to limit peak memory. Models
+   * that fail are retried together after a growing delay.
+   * @returns {Promise<void>} Resolves once every model is ready or out of attempts
+   */
+  async loadAll() {
+    let pending = this.listModels();
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      for (const id of pending) {
+        await this.load(id);
+      }
+      // Missing or truncated files do not fix themselves, so only retry other failures
+      pending = pending.filter(id => !this.isReady(id) && !this.failedIntegrity(id));
+
+      if (pending.length === 0) {
+        break;
+      }
+      if (attempt >= this.loadAttempts) {
+        this.logger.error('Giving up on loading models', { models: pending, attempts: attempt });
+        break;
+      }
+
+      const delay = Math.min(this.loadRetryDelay * 2 ** (attempt - 1), this.loadRetryMaxDelay);
+      for (const id of pending) {
+        this.entries.get(id).state = 'retrying';
+      }
+      this.notify();
+      this.logger.warn('Retrying failed model loads', { models: pending, attempt, delayMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay).unref());
+    }
+
+    for (const [id, dir] of Object.entries(this.candidateSources)) {
+      try {
+        await this.loadCandidate(id, dir);
+      } catch (error) {
+        this.logger.error('Shadow candidate failed to load', { model: id, error });
+      }
+    }
+  }
+
+  /**
+   * Load a single model by ID
+   * @param {string} id - Model ID
+   * @returns {Promise<boolean>} True if the model loaded successfully
+   */
+  async load(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new Error(`Unknown model: ${id}`);
+    }
+
+    const loadStartTime = Date.now();
+    entry.state = 'loading';
+    entry.attempts++;
+    this.notify();
+
+    const integrity = await this.checkIntegrity(id);
+    if (!integrity.ok) {
+      entry.state = 'failed';
+      entry.error = `Model files failed the integrity check: ${integrity.problems.join('; ')}`;
+      this.notify();
+      return false;
+    }
+
+    try {
+      this.logger.info('Loading model', { model: id, path: entry.dir, attempt: entry.attempts });
+
+      entry.model = await this.open(entry, entry.dir);
+      entry.state = 'ready';
+      entry.isLoaded = true;
+      entry.loadTime = Date.now() - loadStartTime;
+      entry.error = null;
+
+      this.logger.info('Model loaded', { model: id, loadTimeMs: entry.loadTime });
+      this.notify();
+      return true;
+    } catch (error) {
+      this.logger.error('Model failed to load', { model: id, attempt: entry.attempts, error });
+      entry.model = null;
+      entry.state = 'failed';
+      entry.isLoaded = false;
+      entry.loadTime = null;
+      entry.error = error.message;
+      this.notify();
+      return false;
+    }
+  }
+
+  /**
+   * Create and warm up a model from a directory
+   * @param {Object} entry - Registry entry the model is for
+   * @param {string} dir - Directory with model.json and the weight shards
+   * @returns {Promise<Object>} Loaded nsfwjs model
+   */
+  async open(entry, dir) {
+    const ioHandler = tf.io.fileSystem(path.join(dir, 'model.json'));
+    const model = new nsfwjs.NSFWJS(ioHandler, { size: entry.size, type: entry.type });
+    try {
+      await model.load();
+      await this.warmUp(model, entry.size);
+      return model;
+    } catch (error) {
+      this.dispose(model);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a model's files before loading: model.json must parse, every weight
+   * shard it names must exist with the expected size, and its format and input
+   * shape must match the model definition. Problems are logged.
+   * @param {string} id - Model ID
+   * @returns {Promise<Object>} `{ ok, problems }`, also kept as the entry's `integrity`
+   */
+  async checkIntegrity(id) {
+    const entry = this.entries.get(id);
+    entry.integrity = await this.checkFiles(entry, entry.dir);
+    return entry.integrity;
+  }
+
+  /**
+   * Check the files in a directory against a model's definition, logging any problems
+   * @param {Object} entry - Registry entry
+   * @param {string} dir - Model directory
+   * @returns {Promise<Object>} `{ ok, problems }`
+   */
+  async checkFiles(entry, dir) {
+    let result;
+    try {
+      result = await this.store.verify(dir, { checksums: false, definition: entry });
+    } catch (error) {
+      result = { ok: false, problems: [error.message] };
+    }
+
+    if (!result.ok) {
+      this.logger.error('Model failed its integrity check', { model: entry.id, path: dir, problems: result.problems });
+    }
+    return { ok: result.ok, problems: result.problems };
+  }
+
+  /**
+   * Check and load a model version without touching the one serving
+   * @param {Object} entry - Registry entry
+   * @param {string} dir - Directory of the new version
+   * @returns {Promise<Object>} Loaded and warmed-up nsfwjs model
+   * @throws {ModelLoadError} If the files are broken or the model cannot load or predict
+   */
+  async openVersion(entry, dir) {
+    const integrity = await this.checkFiles(entry, dir);
+    if (!integrity.ok) {
+      throw new ModelLoadError(`The ${entry.id} model files in ${this.describeDir(dir)} failed the integrity check.`, {
+        code: 'MODEL_INTEGRITY_FAILED', details: { model: entry.id, problems: integrity.problems }
+      });
+    }
+
+    try {
+      return await this.open(entry, dir);
+    } catch (error) {
+      this.logger.error('Model version failed to load', { model: entry.id, path: dir, error });
+      throw new ModelLoadError(`The ${entry.id} model in ${this.describeDir(dir)} failed to load: ${error.message}`, {
+        details: { model: entry.id }, cause: error
+      });
+    }
+  }
+
+  /**
+   * Load another version of a model next to the serving one, warm it up and
+   * switch to it. The switch is a single assignment, so every forward pass
+   * uses either the old or the new weights; the old ones are disposed right
+   * after. If the new version fails, the serving one stays in place.
+   * @param {string} id - Model ID
+   * @param {string} [dir] - Directory of the new version (defaults to the current one, e.g. after `models install --force`)
+   * @returns {Promise<Object>} The model's status
+   * @throws {ModelLoadError} If the new version cannot be loaded
+   */
+  async reload(id, dir) {
+    const entry = this.getEntry(id);
+    const target = path.resolve(dir || entry.dir);
+    const loadStartTime = Date.now();
+    this.logger.info('Reloading model', { model: id, path: target });
+
+    const model = await this.openVersion(entry, target);
+    this.activate(entry, model, target);
+    entry.loadTime = Date.now() - loadStartTime;
+    await this.identify(id);
+
+    this.logger.info('Model reloaded', { model: id, path: target, version: entry.version, loadTimeMs: entry.loadTime });
+    this.notify();
+    return this.getStatus()[id];
+  }
+
+  /**
+   * Load a shadow candidate: another version of a model, kept next to the
+   * serving one so some requests can also be classified with it. Replaces
+   * any previous candidate.
+   * @param {string} id - Model ID
+   * @param {string} dir - Directory of the candidate version
+   * @returns {Promise<Object>} The model's status
+   * @throws {ModelLoadError} If the candidate cannot be loaded
+   */
+  async loadCandidate(id, dir) {
+    const entry = this.getEntry(id);
+    const target = path.resolve(dir);
+    this.logger.info('Loading shadow candidate', { model: id, path: target });
+
+    const model = await this.openVersion(entry, target);
+    const previous = entry.candidate;
+    entry.candidate = {
+      // Batched apart from the serving version
+      id: `${id}:candidate`,
+      size: entry.size,
+      type: entry.type,
+      model,
+      dir: target,
+      version: await this.store.fingerprint(target).catch(() => null),
+      loadedAt: new Date().toISOString()
+    };
+    this.candidateSources[id] = target;
+    if (previous) {
+      this.dispose(previous.model);
+    }
+
+    this.logger.info('Shadow candidate loaded', { model: id, path: target, version: entry.candidate.version });
+    this.notify();
+    return this.getStatus()[id];
+  }
+
+  /**
+   * Unload a model's shadow candidate
+   * @param {string} id - Model ID
+   * @returns {boolean} False if the model had no candidate
+   */
+  dropCandidate(id) {
+    const entry = this.getEntry(id);
+    delete this.candidateSources[id];
+    if (!entry.candidate) {
+      return false;
+    }
+
+    this.dispose(entry.candidate.model);
+    entry.candidate = null;
+    this.logger.info('Shadow candidate removed', { model: id });
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Make a model's shadow candidate the serving version and dispose the old one
+   * @param {string} id - Model ID
+   * @returns {Promise<Object>} The model's status
+   * @throws {NotFoundError} If the model has no candidate
+   */
+  async promoteCandidate(id) {
+    const entry = this.getEntry(id);
+    const candidate = this.getCandidate(id);
+
+    entry.candidate = null;
+    delete this.candidateSources[id];
+    this.activate(entry, candidate.model, candidate.dir);
+    await this.identify(id);
+
+    this.logger.info('Shadow candidate promoted', { model: id, path: candidate.dir, version: entry.version });
+    this.notify();
+    return this.getStatus()[id];
+  }
+
+  /**
+   * Switch a model entry to new weights and dispose the previous ones
+   * @param {Object} entry - Registry entry
+   * @param {Object} model - Loaded nsfwjs model
+   * @param {string} dir - Directory the model was loaded from
+   */
+  activate(entry, model, dir) {
+    const previous = entry.model;
+    entry.model = model;
+    entry.dir = dir;
+    entry.state = 'ready';
+    entry.isLoaded = true;
+    entry.error = null;
+    entry.integrity = { ok: true, problems: [] };
+    entry.reloadedAt = new Date().toISOString();
+    this.dispose(previous);
+  }
+
+  /**
+   * Point a model at another directory without loading it. Used by the main
+   * thread to track the versions its worker threads serve.
+   * @param {string} id - Model ID
+   * @param {string} dir - Model directory
+   * @returns {Promise<void>}
+   */
+  async setSource(id, dir) {
+    const entry = this.getEntry(id);
+    entry.dir = path.resolve(dir);
+    entry.reloadedAt = new Date().toISOString();
+    await this.identify(id);
+  }
+
+  /**
+   * Fingerprint the files of a model's current directory
+   * @param {string} id - Model ID
+   * @returns {Promise<string|null>} The version, or null if the files cannot be read
+   */
+  async identify(id) {
+    const entry = this.getEntry(id);
+    entry.version = await this.store.fingerprint(entry.dir).catch(() => null);
+    return entry.version;
+  }
+
+  /**
+   * Fingerprint every enabled model's files
+   * @returns {Promise<void>}
+   */
+  async identifyAll() {
+    for (const id of this.listModels()) {
+      await this.identify(id);
+    }
+  }
+
+  /**
+   * Describe a model directory relative to the models directory, for messages and status
+   * @param {string} dir - Absolute directory
+   * @returns {string} Relative path, or the absolute one outside the models directory
+   */
+  describeDir(dir) {
+    const relative = path.relative(path.resolve(this.modelsDir), dir);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : dir;
+  }
+
+  /**
+   * Check the files of every enabled model without loading them
+   * @returns {Promise<Object>} `{ ok, problems }` keyed by model ID
+   */
+  async checkAllIntegrity() {
+    const results = {};
+    for (const id of this.listModels()) {
+      results[id] = await this.checkIntegrity(id);
+    }
+    return results;
+  }
+
+  /**
+   * Check whether a model's last file check found problems
+   * @param {string} id - Model ID
+   * @returns {boolean} True if the files were checked and are broken
+   */
+  failedIntegrity(id) {
+    const { integrity } = this.entries.get(id);
+    return Boolean(integrity && !integrity.ok);
+  }
+
+  /**
+   * Run one inference on a blank image so the first request does not pay for
+   * kernel setup, and so a model that loads but cannot predict counts as failed
+   * @param {Object} model - Loaded nsfwjs model
+   * @param {number} size - Input resolution
+   * @returns {Promise<void>}
+   */
+  async warmUp(model, size) {
+    const input = tf.zeros([size, size, 3], 'int32');
+    try {
+      await model.classify(input);
+    } catch (error) {
+      throw new Error(`Warm-up inference failed: ${error.message}`, { cause: error });
+    } finally {
+      input.dispose();
+    }
+  }
+
+  /**
+   * Release the weights of a model
+   * @param {Object|null} model - nsfwjs model
+   */
+  dispose(model) {
+    if (model && model.model) {
+      model.model.dispose();
+    }
+  }
+
+  /**
+   * Report a state change to the onStateChange callback
+   */
+  notify() {
+    if (this.onStateChange) {
+      this.onStateChange(this.getStatus());
+    }
+  }
+
+  /**
+   * Resolve a requested model ID, falling back to the default model
+   * @param {string} [id] - Requested model ID
+   * @returns {string} Resolved model ID
+   */
+  resolveId(id) {
+    return id || this.defaultModel;
+  }
+
+  /**
+   * Check whether a model is enabled in this registry
+   * @param {string} id - Model ID
+   * @returns {boolean} True if the model is enabled
+   */
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get an enabled model's entry, loaded or not
+   * @param {string} id - Model ID
+   * @returns {Object} Registry entry
+   */
+  getEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      throw new ValidationError(`Unknown model: ${id}`, { code: 'UNKNOWN_MODEL' });
+    }
+    return entry;
+  }
+
+  /**
+   * Get a model's shadow candidate, in the shape the batcher expects
+   * @param {string} id - Model ID
+   * @returns {Object} Candidate with `id`, `model` and `size`
+   * @throws {NotFoundError} If the model has no candidate
+   */
+  getCandidate(id) {
+    const { candidate } = this.getEntry(id);
+    if (!candidate) {
+      throw new NotFoundError(`The ${id} model has no shadow candidate.`, {
+        type: 'CANDIDATE_NOT_FOUND', code: 'CANDIDATE_NOT_FOUND'
+      });
+    }
+    return candidate;
+  }
+
+  /**
+   * Get a loaded model entry
+   * @param {string} [id] - Model ID (defaults to the default model)
+   * @returns {Object} Registry entry with a loaded model
+   */
+  get(id) {
+    const resolvedId = this.resolveId(id);
+    const entry = this.entries.get(resolvedId);
+
+    if (!entry) {
+      throw new ValidationError(`Unknown model: ${resolvedId}`, { code: 'UNKNOWN_MODEL' });
+    }
+    if (!entry.isLoaded || !entry.model) {
+      throw ModelUnavailableError.forState(resolvedId, entry.state);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Check if a model is loaded and ready for analysis
+   * @param {string} [id] - Model ID (defaults to the default model)
+   * @returns {boolean} True if loaded
+   */
+  isReady(id) {
+    const entry = this.entries.get(this.resolveId(id));
+    return Boolean(entry && entry.isLoaded && entry.model);
+  }
+
+  /**
+   * List enabled model IDs
+   * @returns {Array<string>} Model IDs
+   */
+  listModels() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Get load state for every enabled model
+   * @returns {Object} Status keyed by model ID
+   */
+  getStatus() {
+    const status = {};
+    for (const [id, entry] of this.entries) {
+      status[id] = {
+        state: entry.state,
+        attempts: entry.attempts,
+        isLoaded: entry.isLoaded,
+        loadTime: entry.loadTime,
+        inputSize: entry.size,
+        type: entry.type,
+        error: entry.error,
+        integrity: entry.integrity,
+        directory: this.describeDir(entry.dir),
+        version: entry.version,
+        reloadedAt: entry.reloadedAt,
+        candidate: entry.candidate
+          ? { directory: this.describeDir(entry.candidate.dir), version: entry.candidate.version, loadedAt: entry.candidate.loadedAt }
+          : null
+      };
+    }
+    return status;
+  }
+}
+
+ModelRegistry.MODEL_DEFINITIONS = MODEL_DEFINITIONS;
+
+module.exports = ModelRegistry;
@@ -0,0 +1,485 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const MODEL_DEFINITIONS = require('./modelDefinitions');
+
+const execFileAsync = promisify(execFile);
+
+// tfjs converters write weights in shards of this size; only the last shard is smaller
+const SHARD_SIZE = 4 * 1024 * 1024;
+
+// Bytes per element, by weight dtype or quantization dtype
+const DTYPE_BYTES = {
+  float32: 4,
+  int32: 4,
+  complex64: 8,
+  bool: 1,
+  uint8: 1,
+  uint16: 2,
+  float16: 2
+};
+
+const CHECKSUM_FILE = 'SHA256SUMS';
+const SETTINGS_FILE = 'settings.json';
+
+/**
+ * Model directories on disk: what is installed, whether every weight shard
+ * is present and intact, installing from a tarball or mirror, and the
+ * default model recorded in the models directory
+ */
+class ModelStore {
+  constructor(config = {}) {
+    this.modelsDir = config.modelsDir || './models';
+  }
+
+  /**
+   * Get a model's directory
+   * @param {string} id - Model ID
+   * @returns {string} Absolute directory path
+   */
+  modelDir(id) {
+    return path.resolve(this.modelsDir, id);
+  }
+
+  /**
+   * List model directories that contain a model.json
+   * @returns {Promise<Array<string>>} Model IDs, sorted
+   */
+  async listInstalled() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.modelsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') &&
+        fs.existsSync(path.join(this.modelsDir, entry.name, 'model.json')))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  /**
+   * Read and parse a model.json
+   * @param {string} dir - Model directory
+   * @returns {Promise<Object>} Parsed model.json
+   * @throws {Error} If the file is missing, not JSON, or has no weightsManifest
+   */
+  async readModelJson(dir) {
+    const file = path.join(dir, 'model.json');
+    let modelJson;
+    try {
+      modelJson = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? `${file} does not exist` : `${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(modelJson.weightsManifest)) {
+      throw new Error(`${file} has no weightsManifest`);
+    }
+    return modelJson;
+  }
+
+  /**
+   * Work out the shard files a model.json names and how large each must be
+   * @param {Object} modelJson - Parsed model.json
+   * @returns {Array<Object>} `{ path, bytes }` per shard; `bytes` is null when the
+   *   shard layout is not the converter's standard one and only the group total is known
+   */
+  static expectedShards(modelJson) {
+    const shards = [];
+
+    for (const group of modelJson.weightsManifest) {
+      const total = group.weights.reduce((sum, weight) => sum + ModelStore.weightBytes(weight), 0);
+      const standard = Number.isFinite(total) && Math.ceil(total / SHARD_SIZE) === group.paths.length;
+
+      group.paths.forEach((shardPath, index) => {
+        shards.push({
+          path: shardPath,
+          bytes: standard ? Math.min(SHARD_SIZE, total - index * SHARD_SIZE) : null
+        });
+      });
+    }
+
+    return shards;
+  }
+
+  /**
+   * Compare a model.json with the format and input size it is configured for
+   * @param {Object} modelJson - Parsed model.json
+   * @param {Object} definition - `{ size, type }` from the model definitions
+   * @returns {Array<string>} Problems; empty if the model matches
+   */
+  static checkTopology(modelJson, definition) {
+    const problems = [];
+    const type = ModelStore.modelType(modelJson);
+    if (type && type !== definition.type) {
+      problems.push(`model.json is a ${type} model, but the model is configured as a ${definition.type} model`);
+    }
+
+    const shape = ModelStore.inputShape(modelJson);
+    if (shape) {
+      const [, height, width, channels] = shape;
+      const matches = shape.length === 4 &&
+        [height, width].every(dimension => dimension === null || dimension === definition.size) &&
+        (channels === null || channels === 3);
+      if (!matches) {
+        const found = shape.map(dimension => (dimension === null ? '?' : dimension)).join('x');
+        problems.push(`model.json expects ${found} input, but the model is configured for ?x${definition.size}x${definition.size}x3`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Tell tfjs layers models from graph models
+   * @param {Object} modelJson - Parsed model.json
+   * @returns {string|null} `layers`, `graph`, or null if the topology is not recognised
+   */
+  static modelType(modelJson) {
+    if (modelJson.format === 'graph-model' || (modelJson.modelTopology && modelJson.modelTopology.node)) {
+      return 'graph';
+    }
+    if (modelJson.format === 'layers-model' || (modelJson.modelTopology && (modelJson.modelTopology.model_config || modelJson.modelTopology.config))) {
+      return 'layers';
+    }
+    return null;
+  }
+
+  /**
+   * Find the input shape declared in a model.json
+   * @param {Object} modelJson - Parsed model.json
+   * @returns {Array<number|null>|null} Shape with null for unknown dimensions, or null if none is declared
+   */
+  static inputShape(modelJson) {
+    const topology = modelJson.modelTopology || {};
+
+    if (topology.node) {
+      const input = topology.node.find(node => node.op === 'Placeholder' && node.attr && node.attr.shape);
+      const dims = input && input.attr.shape.shape && input.attr.shape.shape.dim;
+      return dims ? dims.map(dim => (Number(dim.size) >= 0 ? Number(dim.size) : null)) : null;
+    }
+
+    const config = (topology.model_config || topology).config || {};
+    const layers = config.layers || [];
+    const inputName = config.input_layers && config.input_layers[0] && config.input_layers[0][0];
+    const layer = layers.find(candidate => inputName ? candidate.name === inputName : candidate.config && candidate.config.batch_input_shape);
+    const shape = layer && layer.config && (layer.config.batch_input_shape || layer.config.batchInputShape);
+    return shape ? shape.map(dimension => (dimension === null ? null : Number(dimension))) : null;
+  }
+
+  /**
+   * Get the stored size of one weight
+   * @param {Object} weight - weightsManifest entry with `shape`, `dtype` and optional `quantization`
+   * @returns {number} Bytes, or NaN for dtypes without a fixed size (e.g. string)
+   */
+  static weightBytes(weight) {
+    const elements = weight.shape.reduce((product, dimension) => product * dimension, 1);
+    const dtype = weight.quantization ? weight.quantization.dtype : weight.dtype;
+    return elements * (DTYPE_BYTES[dtype] || NaN);
+  }
+
+  /**
+   * Check that a model directory has every shard its model.json names, with the
+   * right size and, when the directory has a SHA256SUMS file, the right checksum
+   * @param {string} dir - Model directory
+   * @param {Object} [options] - Verify options
+   * @param {boolean} [options.checksums] - Hash the shards (default true); false only checks sizes
+   * @param {Object} [options.definition] - `{ size, type }` the model is loaded with; when given,
+   *   the model format and input shape in model.json must match it
+   * @returns {Promise<Object>} `{ ok, problems, shards, bytes, checksums }`; `checksums`
+   *   is false when the directory has no SHA256SUMS
+   */
+  async verify(dir, options = {}) {
+    const checkHashes = options.checksums !== false;
+    let modelJson;
+    try {
+      modelJson = await this.readModelJson(dir);
+    } catch (error) {
+      return { ok: false, problems: [error.message], shards: [], bytes: 0, checksums: false };
+    }
+
+    const sums = await this.readChecksums(dir);
+    const problems = options.definition ? ModelStore.checkTopology(modelJson, options.definition) : [];
+    const shards = [];
+    let bytes = 0;
+
+    if (sums && checkHashes && sums.has('model.json') &&
+        (await ModelStore.sha256(path.join(dir, 'model.json'))) !== sums.get('model.json')) {
+      problems.push(`model.json does not match its ${CHECKSUM_FILE} checksum`);
+    }
+
+    for (const expected of ModelStore.expectedShards(modelJson)) {
+      const file = ModelStore.resolveInside(dir, expected.path);
+      const shard = { path: expected.path, expectedBytes: expected.bytes, bytes: null, checksum: null };
+      shards.push(shard);
+
+      if (!file) {
+        problems.push(`${expected.path} points outside the model directory`);
+        continue;
+      }
+
+      let stats;
+      try {
+        stats = await fsp.stat(file);
+      } catch (error) {
+        problems.push(`${expected.path} is missing`);
+        continue;
+      }
+
+      shard.bytes = stats.size;
+      bytes += stats.size;
+      if (expected.bytes !== null && stats.size !== expected.bytes) {
+        problems.push(`${expected.path} is ${stats.size} bytes, expected ${expected.bytes}`);
+        continue;
+      }
+
+      if (sums && checkHashes) {
+        if (!sums.has(expected.path)) {
+          shard.checksum = 'missing';
+          problems.push(`${expected.path} has no entry in ${CHECKSUM_FILE}`);
+        } else {
+          shard.checksum = (await ModelStore.sha256(file)) === sums.get(expected.path) ? 'ok' : 'mismatch';
+          if (shard.checksum === 'mismatch') {
+            problems.push(`${expected.path} does not match its ${CHECKSUM_FILE} checksum`);
+          }
+        }
+      }
+    }
+
+    return { ok: problems.length === 0, problems, shards, bytes, checksums: Boolean(sums) };
+  }
+
+  /**
+   * Identify a version of a model's files, e.g. to keep cached results of one
+   * version from answering for another. Replacing a shard changes its size or
+   * modification time, and with it the fingerprint.
+   * @param {string} dir - Model directory
+   * @returns {Promise<string>} 12 hex characters
+   */
+  async fingerprint(dir) {
+    const hash = crypto.createHash('sha256');
+    const content = await fsp.readFile(path.join(dir, 'model.json'));
+    hash.update(content);
+
+    for (const shard of ModelStore.expectedShards(JSON.parse(content))) {
+      const file = ModelStore.resolveInside(dir, shard.path);
+      const stats = file ? await fsp.stat(file).catch(() => null) : null;
+      hash.update(`\n${shard.path}:${stats ? `${stats.size}:${stats.mtimeMs}` : 'missing'}`);
+    }
+    return hash.digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Read a directory's SHA256SUMS file (`<hex>  <file>` per line, as written by sha256sum)
+   * @param {string} dir - Model directory
+   * @returns {Promise<Map<string, string>|null>} Checksum by file name, or null without a file
+   */
+  async readChecksums(dir) {
+    let content;
+    try {
+      content = await fsp.readFile(path.join(dir, CHECKSUM_FILE), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const sums = new Map();
+    for (const line of content.split('\n')) {
+      const match = line.match(/^([0-9a-fA-F]{64}) [ *](.+)$/);
+      if (match) {
+        sums.set(match[2].trim(), match[1].toLowerCase());
+      }
+    }
+    return sums;
+  }
+
+  /**
+   * Write a SHA256SUMS file covering model.json and every shard
+   * @param {string} dir - Model directory
+   * @param {Array<string>} files - File names relative to the directory
+   * @returns {Promise<void>}
+   */
+  async writeChecksums(dir, files) {
+    const lines = [];
+    for (const file of files) {
+      lines.push(`${await ModelStore.sha256(path.join(dir, file))}  ${file}`);
+    }
+    await fsp.writeFile(path.join(dir, CHECKSUM_FILE), `${lines.join('\n')}\n`);
+  }
+
+  /**
+   * Resolve a path from model.json against a directory
+   * @param {string} dir - Directory
+   * @param {string} file - Relative path, e.g. a `weightsManifest` entry
+   * @returns {string|null} Absolute path, or null if it leaves the directory
+   */
+  static resolveInside(dir, file) {
+    const root = path.resolve(dir);
+    const resolved = path.resolve(root, String(file));
+    const relative = path.relative(root, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+    return resolved;
+  }
+
+  /**
+   * Hash a file
+   * @param {string} file - File path
+   * @returns {Promise<string>} Hex SHA-256
+   */
+  static sha256(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Install a model from a .tar/.tar.gz archive or a directory. The source may
+   * hold model.json directly or in a `<id>/` subdirectory, as in a mirror of a
+   * whole models directory. The source is verified before anything is replaced,
+   * and the installed copy gets a SHA256SUMS file.
+   * @param {string} id - Model ID; must be one the registry knows
+   * @param {string} source - Archive file or directory
+   * @param {Object} [options] - Install options
+   * @param {boolean} [options.force] - Replace an existing installation
+   * @returns {Promise<Object>} `{ id, dir, files, bytes }`
+   */
+  async install(id, source, options = {}) {
+    if (!MODEL_DEFINITIONS[id]) {
+      throw new Error(`Unknown model: ${id}. Available models: ${Object.keys(MODEL_DEFINITIONS).join(', ')}`);
+    }
+
+    const target = this.modelDir(id);
+    if (fs.existsSync(target) && !options.force) {
+      throw new Error(`${target} already exists; pass --force to replace it`);
+    }
+
+    let extracted = null;
+    try {
+      let sourceDir = path.resolve(source);
+      if ((await fsp.stat(sourceDir)).isFile()) {
+        extracted = await fsp.mkdtemp(path.join(os.tmpdir(), 'nsfw-model-'));
+        await execFileAsync('tar', ['-xf', sourceDir, '-C', extracted], { timeout: 5 * 60 * 1000 });
+        sourceDir = extracted;
+      }
+
+      const modelSource = await this.findModelSource(sourceDir, id);
+      const check = await this.verify(modelSource, { definition: MODEL_DEFINITIONS[id] });
+      if (!check.ok) {
+        throw new Error(`The source model is incomplete or corrupt:\n  ${check.problems.join('\n  ')}`);
+      }
+
+      // Copy into a staging directory next to the target, then swap it in
+      const staging = path.join(path.dirname(target), `.${id}.installing`);
+      const files = ['model.json', ...check.shards.map(shard => shard.path)];
+      const copies = files.map(file => {
+        const from = ModelStore.resolveInside(modelSource, file);
+        const to = ModelStore.resolveInside(staging, file);
+        if (!from || !to) {
+          throw new Error(`model.json names ${file}, which points outside the model directory`);
+        }
+        return { from, to };
+      });
+
+      await fsp.rm(staging, { recursive: true, force: true });
+      await fsp.mkdir(staging, { recursive: true });
+      for (const { from, to } of copies) {
+        await fsp.mkdir(path.dirname(to), { recursive: true });
+        await fsp.copyFile(from, to);
+      }
+      await this.writeChecksums(staging, files);
+
+      const previous = path.join(path.dirname(target), `.${id}.previous`);
+      await fsp.rm(previous, { recursive: true, force: true });
+      if (fs.existsSync(target)) {
+        await fsp.rename(target, previous);
+      }
+      await fsp.rename(staging, target);
+      await fsp.rm(previous, { recursive: true, force: true });
+
+      return { id, dir: target, files, bytes: check.bytes };
+    } finally {
+      if (extracted) {
+        await fsp.rm(extracted, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Find the directory holding a model's model.json inside an install source
+   * @param {string} dir - Source directory or extracted archive
+   * @param {string} id - Model ID
+   * @returns {Promise<string>} Directory with model.json
+   */
+  async findModelSource(dir, id) {
+    const candidates = [path.join(dir, id), dir];
+
+    // Archives often wrap everything in one top-level directory
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    const directories = entries.filter(entry => entry.isDirectory());
+    if (directories.length === 1) {
+      candidates.push(path.join(dir, directories[0].name, id), path.join(dir, directories[0].name));
+    }
+
+    const found = candidates.find(candidate => fs.existsSync(path.join(candidate, 'model.json')));
+    if (!found) {
+      throw new Error(`No model.json found in ${dir} or ${path.join(dir, id)}`);
+    }
+    return found;
+  }
+
+  /**
+   * Get the default model recorded with `models set-default`
+   * @returns {string|null} Model ID, or null if none is recorded
+   */
+  getDefault() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.modelsDir, SETTINGS_FILE), 'utf8')).defaultModel || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record the default model in the models directory
+   * @param {string} id - Model ID; must be known and installed
+   * @returns {Promise<void>}
+   */
+  async setDefault(id) {
+    if (!MODEL_DEFINITIONS[id]) {
+      throw new Error(`Unknown model: ${id}. Available models: ${Object.keys(MODEL_DEFINITIONS).join(', ')}`);
+    }
+    if (!(await this.listInstalled()).includes(id)) {
+      throw new Error(`${id} is not installed in ${path.resolve(this.modelsDir)}`);
+    }
+
+    const file = path.join(this.modelsDir, SETTINGS_FILE);
+    let settings = {};
+    try {
+      settings = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      // No settings yet
+    }
+    await fsp.writeFile(file, `${JSON.stringify({ ...settings, defaultModel: id }, null, 2)}\n`);
+  }
+}
+
+ModelStore.CHECKSUM_FILE = CHECKSUM_FILE;
+
+module.exports = ModelStore;
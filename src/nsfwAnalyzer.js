@@ -1,100 +1,589 @@
-const nsfwjs = require('nsfwjs');
+const path = require('path');
 const tf = require('@tensorflow/tfjs-node');
+const ModelRegistry = require('./modelRegistry');
+const PolicyEngine = require('./policyEngine');
+const Metrics = require('./metrics');
+const Logger = require('./logger');
+const InferenceBatcher = require('./inferenceBatcher');
+const WorkerPool = require('./workerPool');
+const ShadowEvaluator = require('./shadowEvaluator');
+const { ApiError, AnalysisError, ModelUnavailableError, ModelLoadError, ConflictError, NotFoundError, ValidationError } = require('./errors');
+
+const NSFW_CATEGORIES = ['Porn', 'Sexy', 'Hentai'];
 
 class NSFWAnalyzer {
-  constructor() {
-    this.model = null;
-    this.isLoaded = false;
-    this.loadStartTime = null;
+  constructor(config = {}) {
+    this.registry = new ModelRegistry(config);
+    this.policies = new PolicyEngine({
+      file: config.policyFile,
+      defaultPolicy: config.defaultPolicy
+    });
+    this.frameAggregation = config.frameAggregation || 'max';
+    this.metrics = config.metrics || new Metrics();
+    this.logger = config.logger || new Logger();
+    this.batcher = new InferenceBatcher({
+      maxBatchSize: config.inferenceBatchSize,
+      maxWait: config.inferenceBatchWait,
+      metrics: this.metrics
+    });
+    this.shadow = new ShadowEvaluator({
+      percent: config.shadowPercent,
+      maxPending: config.shadowMaxPending,
+      metrics: this.metrics,
+      logger: this.logger
+    });
+    // Models with a reload or candidate change in progress
+    this.modelOperations = new Set();
+
+    // With workers, models load and run in worker threads and the registry
+    // here only resolves model IDs
+    this.pool = config.workers > 0
+      ? new WorkerPool({
+        size: config.workers,
+        modelIds: this.registry.listModels(),
+        maxLeakedTensors: config.workerMaxLeakedTensors,
+        maxHeapMb: config.workerMaxHeapMb,
+        metrics: this.metrics,
+        logger: this.logger,
+        workerData: {
+          registry: {
+            modelsDir: config.modelsDir,
+            defaultModel: config.defaultModel,
+            models: config.models,
+            loadAttempts: config.loadAttempts,
+            loadRetryDelay: config.loadRetryDelay,
+            loadRetryMaxDelay: config.loadRetryMaxDelay
+          },
+          batcher: { maxBatchSize: this.batcher.maxBatchSize, maxWait: this.batcher.maxWait },
+          logger: { level: this.logger.level, redactUrls: this.logger.redactUrls }
+        }
+      })
+      : null;
   }
 
   /**
-   * Load the NSFW model
-   * @returns {Promise<void>}
+   * Load all enabled NSFW models, retrying failures with backoff
+   * @returns {Promise<void>} Resolves once every model is ready or out of attempts
    */
   async loadModel() {
+    await this.registry.identifyAll();
+
+    if (this.pool) {
+      this.logger.info('Starting inference workers', { models: this.registry.listModels(), workers: this.pool.size });
+      await this.pool.start();
+      return;
+    }
+
+    this.logger.info('Loading NSFW models', { models: this.registry.listModels() });
+    await this.registry.loadAll();
+  }
+
+  /**
+   * Check the files of every enabled model without loading them, e.g. to
+   * refuse to start with broken models
+   * @returns {Promise<Object>} `{ ok, problems }` keyed by model ID
+   */
+  async checkModelIntegrity() {
+    return this.registry.checkAllIntegrity();
+  }
+
+  /**
+   * Load a new version of a model next to the serving one, warm it up and
+   * switch traffic to it; the old version's tensors are then disposed. With
+   * workers, every worker switches on its own once it has the new version ready.
+   * @param {string} modelId - Model ID
+   * @param {string} [directory] - Directory inside the models directory (defaults to the model's current one)
+   * @returns {Promise<Object>} The model's status
+   * @throws {ModelLoadError} If the new version cannot be loaded; the old one keeps serving
+   */
+  async reloadModel(modelId, directory) {
+    return this.runModelOperation(modelId, async (entry) => {
+      const dir = directory !== undefined ? this.resolveModelDirectory(directory) : entry.dir;
+      if (!this.pool) {
+        return this.registry.reload(modelId, dir);
+      }
+
+      await this.checkModelFiles(entry, dir);
+      await this.pool.command('reload', modelId, dir);
+      await this.registry.setSource(modelId, dir);
+      this.logger.info('Model reloaded on the inference workers', { model: modelId, path: dir, version: entry.version });
+      return this.getModelStates()[modelId];
+    });
+  }
+
+  /**
+   * Load a shadow candidate for a model and start classifying a share of its
+   * requests with it too. Replaces any previous candidate and its statistics.
+   * @param {string} modelId - Model ID
+   * @param {string} directory - Directory of the candidate inside the models directory
+   * @param {number} [percent] - Share of requests to shadow, above 0 and up to 100
+   * @returns {Promise<Object>} `{ model, shadow }` with the model's status and shadow statistics
+   */
+  async setCandidate(modelId, directory, percent) {
+    if (percent !== undefined && !(typeof percent === 'number' && percent > 0 && percent <= 100)) {
+      throw new ValidationError('percent must be a number above 0 and at most 100');
+    }
+
+    return this.runModelOperation(modelId, async (entry) => {
+      const dir = this.resolveModelDirectory(directory);
+
+      if (this.pool) {
+        await this.checkModelFiles(entry, dir);
+        await this.pool.command('candidate', modelId, dir);
+      } else {
+        await this.registry.loadCandidate(modelId, dir);
+      }
+
+      const model = this.getModelStates()[modelId];
+      const shadow = this.shadow.start(modelId, model.candidate || { directory: this.registry.describeDir(dir) }, percent);
+      return { model, shadow };
+    });
+  }
+
+  /**
+   * Stop shadowing a model and unload its candidate
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} `{ model, shadow }` with the final shadow statistics
+   */
+  async removeCandidate(modelId) {
+    return this.runModelOperation(modelId, async () => {
+      this.requireCandidate(modelId);
+      const shadow = this.shadow.stop(modelId);
+
+      if (this.pool) {
+        await this.pool.command('drop', modelId);
+      } else {
+        this.registry.dropCandidate(modelId);
+      }
+      return { model: this.getModelStates()[modelId], shadow };
+    });
+  }
+
+  /**
+   * Make a model's shadow candidate the serving version
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} `{ model, shadow }` with the final shadow statistics
+   */
+  async promoteCandidate(modelId) {
+    return this.runModelOperation(modelId, async () => {
+      this.requireCandidate(modelId);
+      const shadow = this.shadow.getStats(modelId);
+
+      if (this.pool) {
+        await this.pool.command('promote', modelId);
+        await this.registry.setSource(modelId, this.pool.workerData.registry.sources[modelId]);
+      } else {
+        await this.registry.promoteCandidate(modelId);
+      }
+      this.shadow.stop(modelId);
+      return { model: this.getModelStates()[modelId], shadow };
+    });
+  }
+
+  /**
+   * Run a reload or candidate change, one at a time per model
+   * @param {string} modelId - Model ID
+   * @param {Function} operation - Async function taking the model's registry entry
+   * @returns {Promise<*>} The operation's result
+   * @throws {ConflictError} If another change to the model is in progress
+   */
+  async runModelOperation(modelId, operation) {
+    const entry = this.registry.getEntry(modelId);
+    if (this.modelOperations.has(modelId)) {
+      throw new ConflictError(`Another reload or candidate change for ${modelId} is in progress.`, { code: 'MODEL_BUSY' });
+    }
+
+    this.modelOperations.add(modelId);
     try {
-      console.log('Loading NSFW model using NSFWJS constructor...');
-      this.loadStartTime = Date.now();
-      
-      // Load from local inception_v3 model using NSFWJS constructor
-      const path = require('path');
-      // Use absolute path to model.json and tf.io.fileSystem handler for Node
-      const localModelJson = path.resolve('./models/inception_v3/model.json');
-      console.log(`📁 Loading inception_v3 model from: ${localModelJson}`);
-      
-      // Instantiate with explicit options and then load weights
-      const ioHandler = tf.io.fileSystem(localModelJson);
-      this.model = new nsfwjs.NSFWJS(ioHandler, { size: 299, type: 'layers' });
-      await this.model.load();
-      
-      const loadTime = Date.now() - this.loadStartTime;
-      this.isLoaded = true;
-      
-      console.log(`✅ NSFW model (inception_v3) loaded successfully in ${loadTime}ms`);
-    } catch (error) {
-      console.error('❌ Failed to load NSFW model:', error.message);
-      console.log('🔧 Error details:', error);
-      this.isLoaded = false;
-      this.model = null;
+      return await operation(entry);
+    } finally {
+      this.modelOperations.delete(modelId);
+    }
+  }
+
+  /**
+   * Make sure a model has a shadow candidate loaded
+   * @param {string} modelId - Model ID
+   * @throws {NotFoundError} If it has none
+   */
+  requireCandidate(modelId) {
+    if (!this.getModelStates()[modelId].candidate) {
+      throw new NotFoundError(`The ${modelId} model has no shadow candidate.`, {
+        type: 'CANDIDATE_NOT_FOUND', code: 'CANDIDATE_NOT_FOUND'
+      });
+    }
+  }
+
+  /**
+   * Resolve a model directory given relative to the models directory
+   * @param {string} directory - Relative directory, e.g. `inception_v3.next`
+   * @returns {string} Absolute directory
+   * @throws {ValidationError} If the directory is outside the models directory
+   */
+  resolveModelDirectory(directory) {
+    const root = path.resolve(this.registry.modelsDir);
+    const dir = path.resolve(root, String(directory));
+    const relative = path.relative(root, dir);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new ValidationError('path must name a directory inside the models directory', { code: 'INVALID_MODEL_PATH' });
     }
+    return dir;
   }
 
   /**
-   * Load model from local path (alternative method)
-   * @param {string} modelPath - Path to local model
+   * Check a model version's files on the main thread before workers load it
+   * @param {Object} entry - Registry entry
+   * @param {string} dir - Model directory
    * @returns {Promise<void>}
+   * @throws {ModelLoadError} If the files are broken
    */
-  async loadLocalModel(modelPath = './models/nsfwjs') {
+  async checkModelFiles(entry, dir) {
+    const integrity = await this.registry.checkFiles(entry, dir);
+    if (!integrity.ok) {
+      throw new ModelLoadError(`The ${entry.id} model files in ${this.registry.describeDir(dir)} failed the integrity check.`, {
+        code: 'MODEL_INTEGRITY_FAILED', details: { model: entry.id, problems: integrity.problems }
+      });
+    }
+  }
+
+  /**
+   * Classify a sample of requests with the model's shadow candidate as well,
+   * in the background. Only whole-image results are shadowed.
+   * @param {Buffer} imageBuffer - Preprocessed image the serving model classified
+   * @param {string} modelId - Model ID
+   * @param {Object} predictions - Serving model's formatted predictions
+   * @param {string} [policyName] - Policy the request was assessed under
+   */
+  shadowAnalyze(imageBuffer, modelId, predictions, policyName) {
+    if (!this.shadow.sample(modelId)) {
+      return;
+    }
+
+    this.shadow.evaluate(
+      modelId,
+      predictions,
+      () => this.classifyCandidate(imageBuffer, modelId),
+      (scores) => this.assessSafety(scores, policyName)
+    );
+  }
+
+  /**
+   * Classify an image with a model's shadow candidate
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} Formatted predictions
+   */
+  async classifyCandidate(imageBuffer, modelId) {
+    if (this.pool) {
+      return this.formatResults(await this.pool.run({ modelId, image: imageBuffer, candidate: true }));
+    }
+
+    const candidate = this.registry.getCandidate(modelId);
+    const imageTensor = tf.node.decodeImage(imageBuffer, 3);
     try {
-      console.log('Loading local NSFW model...');
-      this.loadStartTime = Date.now();
-      
-      // Load model from local path
-      this.model = await nsfwjs.load(modelPath);
-      
-      const loadTime = Date.now() - this.loadStartTime;
-      this.isLoaded = true;
-      
-      console.log(`Local NSFW model loaded successfully in ${loadTime}ms`);
-    } catch (error) {
-      console.error('Failed to load local NSFW model:', error.message);
-      this.isLoaded = false;
-      this.model = null;
+      return this.formatResults(await this.batcher.classify(candidate, imageTensor));
+    } finally {
+      imageTensor.dispose();
+    }
+  }
+
+  /**
+   * Get shadow statistics for every model with a candidate
+   * @returns {Object} Statistics keyed by model ID
+   */
+  getShadowStats() {
+    return this.shadow.getAllStats();
+  }
+
+  /**
+   * Get the version of a model's files that is serving
+   * @param {string} [modelId] - Model ID (defaults to the default model)
+   * @returns {string|null} Fingerprint from ModelStore.fingerprint
+   */
+  getModelVersion(modelId) {
+    return this.registry.getEntry(this.resolveModelId(modelId)).version;
+  }
+
+  /**
+   * Stop the inference workers, if any
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.stop();
     }
   }
 
+  /**
+   * Get load state for every enabled model, from the workers when they are used
+   * @returns {Object} Status keyed by model ID
+   */
+  getModelStates() {
+    return this.pool ? this.pool.getModelStatus() : this.registry.getStatus();
+  }
+
+  /**
+   * Get the readiness state for /readyz and /health
+   * @returns {Object} `{ ready, state }`; state is `ready`, `loading` (including
+   *   waits between retries), `degraded` (the default model works but another
+   *   failed) or `failed`
+   */
+  getReadiness() {
+    const states = Object.values(this.getModelStates()).map(model => model.state);
+
+    if (states.every(state => state === 'ready')) {
+      return { ready: true, state: 'ready' };
+    }
+    if (states.some(state => ['pending', 'loading', 'retrying'].includes(state))) {
+      return { ready: false, state: 'loading' };
+    }
+    return { ready: false, state: this.isReady() ? 'degraded' : 'failed' };
+  }
+
   /**
    * Analyze image buffer for NSFW content
    * @param {Buffer} imageBuffer - Image buffer to analyze
+   * @param {string} [modelId] - Model to use (defaults to the default model)
    * @returns {Promise<Object>} Classification results
    */
-  async analyzeImage(imageBuffer) {
-    if (!this.isLoaded || !this.model) {
-      throw new Error('Model not loaded. The nsfwjs model failed to download from the CDN. Please check your internet connection and try again.');
+  async analyzeImage(imageBuffer, modelId) {
+    if (this.pool) {
+      return this.analyzeInWorker(imageBuffer, modelId);
     }
 
+    const entry = this.registry.get(modelId);
+    const { id } = entry;
+    const endTimer = this.metrics.inferenceDuration.startTimer({ model: id });
+    let imageTensor = null;
+
     try {
       // Convert buffer to tensor
-      const imageTensor = tf.node.decodeImage(imageBuffer, 3);
+      imageTensor = tf.node.decodeImage(imageBuffer, 3);
       
-      // Classify the image
-      const predictions = await this.model.classify(imageTensor);
-      
-      // Clean up tensor to prevent memory leaks
-      imageTensor.dispose();
+      // Classify the image, possibly batched with other requests for the same model
+      const predictions = await this.batcher.classify(entry, imageTensor);
       
       // Format results
       const results = this.formatResults(predictions);
       
       return {
         success: true,
+        model: id,
         predictions: results,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      throw new Error(`Image analysis failed: ${error.message}`);
+      throw new AnalysisError('Failed to analyze the image. It may be corrupted or in an unsupported format.', { cause: error });
+    } finally {
+      // Clean up tensor to prevent memory leaks
+      if (imageTensor) {
+        imageTensor.dispose();
+      }
+      endTimer();
+    }
+  }
+
+  /**
+   * Analyze an image buffer on the worker pool
+   * @param {Buffer} imageBuffer - Image buffer to analyze
+   * @param {string} [modelId] - Model to use (defaults to the default model)
+   * @returns {Promise<Object>} Classification results, as from analyzeImage
+   */
+  async analyzeInWorker(imageBuffer, modelId) {
+    const id = this.resolveModelId(modelId);
+    if (!this.hasModel(id)) {
+      throw new ValidationError(`Unknown model: ${id}`, { code: 'UNKNOWN_MODEL' });
+    }
+    if (!this.isReady(id)) {
+      throw ModelUnavailableError.forState(id, this.getModelStates()[id].state);
+    }
+
+    const endTimer = this.metrics.inferenceDuration.startTimer({ model: id });
+    try {
+      const predictions = await this.pool.run({ modelId: id, image: imageBuffer });
+
+      return {
+        success: true,
+        model: id,
+        predictions: this.formatResults(predictions),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+      throw new AnalysisError('Failed to analyze the image. It may be corrupted or in an unsupported format.', { cause: error });
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Analyze sampled frames of a multi-frame image and aggregate the scores
+   * @param {Object} sampling - `{ totalFrames, indices }` from ImageProcessor.sampleFrames
+   * @param {Function} loadFrame - Async function returning a decodable buffer for a frame index
+   * @param {string} [modelId] - Model to use (defaults to the default model)
+   * @returns {Promise<Object>} Aggregate results with per-frame predictions
+   */
+  async analyzeFrames(sampling, loadFrame, modelId) {
+    const results = [];
+    let model;
+
+    // Frames are loaded one at a time so only one decoded frame is held in memory
+    for (const index of sampling.indices) {
+      const frameBuffer = await loadFrame(index);
+      const frameResult = await this.analyzeImage(frameBuffer, modelId);
+      model = frameResult.model;
+      results.push({ index, predictions: frameResult.predictions });
+    }
+
+    const { predictions, worstFrame } = this.aggregateFrames(results);
+
+    return {
+      success: true,
+      model,
+      predictions,
+      frames: {
+        total: sampling.totalFrames,
+        sampled: results.length,
+        aggregation: this.frameAggregation,
+        worstFrame,
+        results
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Analyze overlapping tiles of an image so that small explicit regions are
+   * not averaged away by downscaling the whole image
+   * @param {Object} layout - Tile layout from ImageProcessor.planTiles
+   * @param {Function} loadTile - Async function returning a decodable buffer for a tile
+   * @param {string} [modelId] - Model to use (defaults to the default model)
+   * @returns {Promise<Object>} Results with the highest probability per class over all
+   *   tiles, an NSFW score map and the worst region
+   */
+  async analyzeTiles(layout, loadTile, modelId) {
+    const results = [];
+    let model;
+
+    // Tiles are loaded one at a time so only one decoded tile is held in memory
+    for (const tile of layout.tiles) {
+      const tileBuffer = await loadTile(tile);
+      const tileResult = await this.analyzeImage(tileBuffer, modelId);
+      model = tileResult.model;
+      results.push({ ...tile, score: this.getNsfwScore(tileResult.predictions), predictions: tileResult.predictions });
+    }
+
+    const scoreMap = Array.from({ length: layout.grid }, () => []);
+    for (const result of results) {
+      scoreMap[result.row][result.col] = result.score;
+    }
+
+    const worst = results.reduce((a, b) => (b.score > a.score ? b : a));
+
+    return {
+      success: true,
+      model,
+      predictions: this.maxPredictions(results.map(result => result.predictions)),
+      tiles: {
+        grid: layout.grid,
+        overlap: layout.overlap,
+        width: layout.width,
+        height: layout.height,
+        scoreMap,
+        worstRegion: {
+          row: worst.row,
+          col: worst.col,
+          x: worst.x,
+          y: worst.y,
+          width: worst.width,
+          height: worst.height,
+          score: worst.score
+        },
+        results
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Combine per-frame predictions so that any explicit frame flags the image
+   * @param {Array<Object>} frames - `{ index, predictions }` per analyzed frame
+   * @returns {Object} Aggregate predictions and the index of the worst frame
+   */
+  aggregateFrames(frames) {
+    const worst = frames.reduce((a, b) => (this.getNsfwScore(b.predictions) > this.getNsfwScore(a.predictions) ? b : a));
+
+    if (this.frameAggregation === 'worst') {
+      return { predictions: { ...worst.predictions }, worstFrame: worst.index };
+    }
+
+    // 'max': highest probability seen for each class across all frames
+    return { predictions: this.maxPredictions(frames.map(frame => frame.predictions)), worstFrame: worst.index };
+  }
+
+  /**
+   * Take the highest probability seen for each class
+   * @param {Array<Object>} predictionsList - Formatted prediction results
+   * @returns {Object} Predictions keyed by class
+   */
+  maxPredictions(predictionsList) {
+    const predictions = {};
+    for (const entry of predictionsList) {
+      for (const [className, probability] of Object.entries(entry)) {
+        predictions[className] = Math.max(predictions[className] || 0, probability);
+      }
+    }
+    return predictions;
+  }
+
+  /**
+   * Sum the probabilities of the explicit classes
+   * @param {Object} predictions - Formatted prediction results
+   * @returns {number} NSFW score between 0 and 1, rounded to 4 decimal places
+   */
+  getNsfwScore(predictions) {
+    const score = NSFW_CATEGORIES.reduce((sum, category) => sum + (predictions[category] || 0), 0);
+    return Math.round(score * 10000) / 10000;
+  }
+
+  /**
+   * Group consecutive timeline entries that the policy does not allow into flagged segments
+   * @param {Array<Object>} timeline - Entries with `time` and `predictions`, ordered by time
+   * @param {string} [policyName] - Policy name (defaults to the default policy)
+   * @returns {Array<Object>} Segments with start/end times, the most severe outcome and the peak classification
+   */
+  findFlaggedSegments(timeline, policyName) {
+    const severity = PolicyEngine.OUTCOMES;
+    const segments = [];
+    let current = null;
+
+    for (const entry of timeline) {
+      const safety = entry.predictions ? this.assessSafety(entry.predictions, policyName) : null;
+
+      if (!safety || safety.outcome === 'allow') {
+        current = null;
+        continue;
+      }
+
+      if (!current) {
+        current = { start: entry.time, end: entry.time, frames: 0, outcome: safety.outcome, rule: safety.rule, peak: null };
+        segments.push(current);
+      }
+
+      current.end = entry.time;
+      current.frames++;
+      if (severity.indexOf(safety.outcome) > severity.indexOf(current.outcome)) {
+        current.outcome = safety.outcome;
+        current.rule = safety.rule;
+      }
+      if (!current.peak || safety.confidence > current.peak.confidence) {
+        current.peak = { time: entry.time, category: safety.mostLikelyCategory, confidence: safety.confidence };
+      }
     }
+
+    return segments;
   }
 
   /**
@@ -113,25 +602,108 @@ class NSFWAnalyzer {
     return results;
   }
 
+  /**
+   * Get micro-batching statistics
+   * @returns {Object} Stats from InferenceBatcher.getStats
+   */
+  getBatchStats() {
+    return this.pool ? this.pool.getBatchStats() : this.batcher.getStats();
+  }
+
+  /**
+   * Get per-worker statistics
+   * @returns {Array<Object>|null} Stats from WorkerPool.getWorkerStats, or null without workers
+   */
+  getWorkerStats() {
+    return this.pool ? this.pool.getWorkerStats() : null;
+  }
+
+  /**
+   * Get TensorFlow.js memory usage
+   * @returns {Object} `tf.memory()` info, including `numTensors` and `numBytes`; summed over workers when they are used
+   */
+  getMemory() {
+    return this.pool ? this.pool.getMemory() : tf.memory();
+  }
+
   /**
    * Get model status and information
    * @returns {Object} Model status
    */
   getModelStatus() {
     return {
-      isLoaded: this.isLoaded,
-      loadTime: this.loadStartTime ? Date.now() - this.loadStartTime : null,
+      // The analyzer counts as loaded once the default model is usable
+      isLoaded: this.isReady(),
+      defaultModel: this.registry.defaultModel,
+      models: this.getModelStates(),
       modelType: 'nsfwjs',
       version: '2.4.2'
     };
   }
 
   /**
-   * Check if model is ready for analysis
+   * Check if a model is ready for analysis
+   * @param {string} [modelId] - Model ID (defaults to the default model)
    * @returns {boolean} True if model is loaded and ready
    */
-  isReady() {
-    return this.isLoaded && this.model !== null;
+  isReady(modelId) {
+    if (this.pool) {
+      const model = this.pool.getModelStatus()[this.resolveModelId(modelId)];
+      return Boolean(model && model.state === 'ready');
+    }
+    return this.registry.isReady(modelId);
+  }
+
+  /**
+   * Check whether a model ID can be requested
+   * @param {string} modelId - Model ID
+   * @returns {boolean} True if the model is enabled
+   */
+  hasModel(modelId) {
+    return this.registry.has(modelId);
+  }
+
+  /**
+   * Resolve a requested model ID, falling back to the default model
+   * @param {string} [modelId] - Requested model ID
+   * @returns {string} Resolved model ID
+   */
+  resolveModelId(modelId) {
+    return this.registry.resolveId(modelId);
+  }
+
+  /**
+   * Check whether a moderation policy is defined
+   * @param {string} policyName - Policy name
+   * @returns {boolean} True if the policy exists
+   */
+  hasPolicy(policyName) {
+    return this.policies.has(policyName);
+  }
+
+  /**
+   * Resolve a requested policy name, falling back to the default policy
+   * @param {string} [policyName] - Requested policy name
+   * @returns {string} Resolved policy name
+   */
+  resolvePolicyName(policyName) {
+    return this.policies.get(policyName).name;
+  }
+
+  /**
+   * List moderation policy names
+   * @returns {Array<string>} Policy names
+   */
+  listPolicies() {
+    return this.policies.list();
+  }
+
+  /**
+   * List model IDs that can be requested
+   * @returns {Array<string>} Enabled model IDs
+   */
+  listModels() {
+    return this.registry.listModels();
   }
 
   /**
@@ -157,12 +729,15 @@ class NSFWAnalyzer {
   }
 
   /**
-   * Determine if image is safe based on predictions
+   * Assess predictions against a moderation policy
    * @param {Object} predictions - Formatted prediction results
-   * @param {number} threshold - Confidence threshold (default 0.5)
-   * @returns {Object} Safety assessment
+   * @param {string} [policyName] - Policy name (defaults to the default policy)
+   * @returns {Object} Safety assessment with the policy outcome and the rule that fired
    */
-  assessSafety(predictions, threshold = 0.5) {
+  assessSafety(predictions, policyName) {
+    const policy = this.policies.get(policyName);
+    const { threshold, safeCategories } = policy;
+
     // Find the most likely classification
     let maxProbability = 0;
     let mostLikelyCategory = null;
@@ -174,12 +749,8 @@ class NSFWAnalyzer {
       }
     }
     
-    // Define what we consider "safe" vs "nsfw"
-    const safeCategories = ['Neutral', 'Drawing'];
-    const nsfwCategories = ['Porn', 'Sexy', 'Hentai'];
-    
+    // The policy decides which top classes count as safe
     const isSafe = safeCategories.includes(mostLikelyCategory);
-    const isNsfw = nsfwCategories.includes(mostLikelyCategory);
     
     // Only make assessment if confidence is above threshold
     const confidentEnough = maxProbability >= threshold;
@@ -189,21 +760,49 @@ class NSFWAnalyzer {
       assessment = 'uncertain';
     } else if (isSafe) {
       assessment = 'safe';
-    } else if (isNsfw) {
+    } else if (mostLikelyCategory) {
       assessment = 'nsfw';
     } else {
       assessment = 'unknown';
     }
     
+    const { outcome, rule } = this.policies.evaluate(predictions, policy.name);
+    
     return {
       isSafe: confidentEnough && isSafe,
       mostLikelyCategory,
       confidence: maxProbability,
       threshold,
       assessment,
+      policy: policy.name,
+      outcome,
+      rule,
       allPredictions: predictions
     };
   }
+
+  /**
+   * Build a safety assessment from a perceptual-hash list match instead of predictions
+   * @param {Object} match - Match from HashList.match
+   * @param {string} [policyName] - Policy name (defaults to the default policy)
+   * @returns {Object} Safety assessment in the same shape as assessSafety
+   */
+  assessHashMatch(match, policyName) {
+    const policy = this.policies.get(policyName);
+    const isSafe = match.decision === 'allow';
+
+    return {
+      isSafe,
+      mostLikelyCategory: null,
+      confidence: null,
+      threshold: policy.threshold,
+      assessment: isSafe ? 'safe' : 'nsfw',
+      policy: policy.name,
+      outcome: match.decision,
+      rule: null,
+      allPredictions: null
+    };
+  }
 }
 
-module.exports = NSFWAnalyzer;
\ No newline at end of file
+module.exports = NSFWAnalyzer;
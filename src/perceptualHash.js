@@ -0,0 +1,141 @@
+const sharp = require('sharp');
+const { ImageProcessingError } = require('./errors');
+
+/**
+ * 64-bit perceptual image hashes, encoded as 16 hex characters.
+ * Similar images produce hashes with a small Hamming distance, even after
+ * re-encoding, resizing or light color changes.
+ */
+class PerceptualHash {
+  /**
+   * Compute every supported hash for an image
+   * @param {Buffer} imageBuffer - Image bytes (any format sharp can read)
+   * @returns {Promise<Object>} `{ phash, dhash }`
+   */
+  static async compute(imageBuffer) {
+    try {
+      const [phash, dhash] = await Promise.all([
+        this.pHash(imageBuffer),
+        this.dHash(imageBuffer)
+      ]);
+      return { phash, dhash };
+    } catch (error) {
+      throw ImageProcessingError.fromSharp(error, 'hash the image');
+    }
+  }
+
+  /**
+   * Load an image as a small greyscale pixel grid
+   * @param {Buffer} imageBuffer - Image bytes
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {Promise<Buffer>} One byte per pixel, row by row
+   */
+  static async greyscalePixels(imageBuffer, width, height) {
+    return sharp(imageBuffer)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * Difference hash: compares each pixel with its right neighbour on a 9x8 grid
+   * @param {Buffer} imageBuffer - Image bytes
+   * @returns {Promise<string>} 16-character hex hash
+   */
+  static async dHash(imageBuffer) {
+    const pixels = await this.greyscalePixels(imageBuffer, 9, 8);
+    const bits = [];
+
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+      }
+    }
+
+    return this.bitsToHex(bits);
+  }
+
+  /**
+   * DCT hash: thresholds the lowest 8x8 DCT frequencies of a 32x32 image at their median
+   * @param {Buffer} imageBuffer - Image bytes
+   * @returns {Promise<string>} 16-character hex hash
+   */
+  static async pHash(imageBuffer) {
+    const size = 32;
+    const pixels = await this.greyscalePixels(imageBuffer, size, size);
+
+    // Cosine table shared by both DCT dimensions
+    const cosines = [];
+    for (let u = 0; u < 8; u++) {
+      cosines.push([]);
+      for (let x = 0; x < size; x++) {
+        cosines[u].push(Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size)));
+      }
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < size; y++) {
+          for (let x = 0; x < size; x++) {
+            sum += pixels[y * size + x] * cosines[u][x] * cosines[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // The DC term only reflects overall brightness, so leave it out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+
+    return this.bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+  }
+
+  /**
+   * Hamming distance between two hex hashes
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number} Number of differing bits
+   */
+  static distance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+
+    while (diff > 0n) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+
+    return count;
+  }
+
+  /**
+   * Check that a string is a 64-bit hex hash
+   * @param {string} hash - Candidate hash
+   * @returns {boolean} True if valid
+   */
+  static isValid(hash) {
+    return typeof hash === 'string' && /^[0-9a-f]{16}$/i.test(hash);
+  }
+
+  /**
+   * Encode 64 bits as hex
+   * @param {Array<number>} bits - Bits, most significant first
+   * @returns {string} 16-character hex string
+   */
+  static bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+  }
+}
+
+module.exports = PerceptualHash;
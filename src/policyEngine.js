@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ValidationError } = require('./errors');
+
+const CLASS_NAMES = ['Drawing', 'Hentai', 'Neutral', 'Porn', 'Sexy'];
+const OUTCOMES = ['allow', 'review', 'block'];
+
+/**
+ * Used when no policy file is configured. Mirrors the original top-class
+ * assessment (Neutral/Drawing count as safe at 0.5 confidence).
+ */
+const DEFAULT_POLICIES = {
+  default: 'default',
+  policies: {
+    default: {
+      threshold: 0.5,
+      safeCategories: ['Neutral', 'Drawing'],
+      rules: [
+        { name: 'explicit', classes: ['Porn', 'Hentai'], threshold: 0.5, outcome: 'block' },
+        { name: 'suggestive', classes: ['Sexy'], threshold: 0.5, outcome: 'review' }
+      ],
+      defaultOutcome: 'allow'
+    }
+  }
+};
+
+class PolicyEngine {
+  constructor(config = {}) {
+    const definition = config.file ? this.readFile(config.file) : DEFAULT_POLICIES;
+
+    this.policies = new Map();
+    for (const [name, policy] of Object.entries(definition.policies || {})) {
+      this.policies.set(name, this.validatePolicy(name, policy));
+    }
+
+    if (this.policies.size === 0) {
+      throw new Error('Policy validation failed: no policies defined');
+    }
+
+    this.defaultPolicy = config.defaultPolicy || definition.default || this.policies.keys().next().value;
+    if (!this.policies.has(this.defaultPolicy)) {
+      throw new Error(`Policy validation failed: default policy "${this.defaultPolicy}" is not defined`);
+    }
+  }
+
+  /**
+   * Read a policy file (.json, .yaml or .yml)
+   * @param {string} file - Path to the policy file
+   * @returns {Object} Parsed policy definition
+   */
+  readFile(file) {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    const extension = path.extname(file).toLowerCase();
+
+    return extension === '.yaml' || extension === '.yml'
+      ? YAML.parse(content)
+      : JSON.parse(content);
+  }
+
+  /**
+   * Check a policy definition and fill in defaults
+   * @param {string} name - Policy name
+   * @param {Object} policy - Raw policy definition
+   * @returns {Object} Normalized policy
+   */
+  validatePolicy(name, policy) {
+    const fail = (message) => {
+      throw new Error(`Policy validation failed: ${name}: ${message}`);
+    };
+
+    const isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+    const threshold = policy.threshold !== undefined ? policy.threshold : 0.5;
+    if (!isProbability(threshold)) {
+      fail('threshold must be a number between 0 and 1');
+    }
+
+    const safeCategories = policy.safeCategories || ['Neutral', 'Drawing'];
+    if (!Array.isArray(safeCategories) || safeCategories.some(c => !CLASS_NAMES.includes(c))) {
+      fail(`safeCategories must only contain ${CLASS_NAMES.join(', ')}`);
+    }
+
+    const defaultOutcome = policy.defaultOutcome || 'allow';
+    if (!OUTCOMES.includes(defaultOutcome)) {
+      fail(`defaultOutcome must be one of ${OUTCOMES.join(', ')}`);
+    }
+
+    const rules = (policy.rules || []).map((rule, index) => {
+      const ruleName = rule.name || `rule-${index + 1}`;
+      const classes = Array.isArray(rule.classes) ? rule.classes : [rule.class];
+
+      if (classes.length === 0 || classes.some(c => !CLASS_NAMES.includes(c))) {
+        fail(`rule "${ruleName}" classes must only contain ${CLASS_NAMES.join(', ')}`);
+      }
+      if (!isProbability(rule.threshold)) {
+        fail(`rule "${ruleName}" threshold must be a number between 0 and 1`);
+      }
+      if (!OUTCOMES.includes(rule.outcome)) {
+        fail(`rule "${ruleName}" outcome must be one of ${OUTCOMES.join(', ')}`);
+      }
+
+      return { name: ruleName, classes, threshold: rule.threshold, outcome: rule.outcome };
+    });
+
+    return { name, threshold, safeCategories, rules, defaultOutcome };
+  }
+
+  /**
+   * Check whether a policy is defined
+   * @param {string} name - Policy name
+   * @returns {boolean} True if the policy exists
+   */
+  has(name) {
+    return this.policies.has(name);
+  }
+
+  /**
+   * List policy names
+   * @returns {Array<string>} Policy names
+   */
+  list() {
+    return Array.from(this.policies.keys());
+  }
+
+  /**
+   * Get a policy by name
+   * @param {string} [name] - Policy name (defaults to the default policy)
+   * @returns {Object} Normalized policy
+   */
+  get(name) {
+    const policy = this.policies.get(name || this.defaultPolicy);
+    if (!policy) {
+      throw new ValidationError(`Unknown policy: ${name}`, { code: 'UNKNOWN_POLICY' });
+    }
+    return policy;
+  }
+
+  /**
+   * Evaluate a policy's rules in order; the first rule whose summed class
+   * score reaches its threshold decides the outcome
+   * @param {Object} predictions - Formatted prediction results
+   * @param {string} [name] - Policy name (defaults to the default policy)
+   * @returns {Object} `{ policy, outcome, rule }`, where rule is null if none fired
+   */
+  evaluate(predictions, name) {
+    const policy = this.get(name);
+
+    for (const rule of policy.rules) {
+      const score = rule.classes.reduce((sum, className) => sum + (predictions[className] || 0), 0);
+
+      if (score >= rule.threshold) {
+        return {
+          policy: policy.name,
+          outcome: rule.outcome,
+          rule: {
+            name: rule.name,
+            classes: rule.classes,
+            threshold: rule.threshold,
+            score: Math.round(score * 10000) / 10000
+          }
+        };
+      }
+    }
+
+    return { policy: policy.name, outcome: policy.defaultOutcome, rule: null };
+  }
+}
+
+PolicyEngine.OUTCOMES = OUTCOMES;
+
+module.exports = PolicyEngine;
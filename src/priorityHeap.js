@@ -0,0 +1,151 @@
+/**
+ * Binary max-heap ordered by `priority`, first-in first-out within a
+ * priority. Items remember their heap position, so a queued item can be
+ * removed in O(log n) as well.
+ */
+class PriorityHeap {
+  constructor() {
+    this.items = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Number of queued items
+   * @returns {number} Heap size
+   */
+  size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add an item
+   * @param {Object} item - Object with a numeric `priority`
+   */
+  push(item) {
+    item.sequence = this.sequence++;
+    item.heapIndex = this.items.length;
+    this.items.push(item);
+    this.siftUp(item.heapIndex);
+  }
+
+  /**
+   * Remove and return the highest-priority item
+   * @returns {Object|undefined} Item, or undefined if the heap is empty
+   */
+  pop() {
+    if (this.items.length === 0) {
+      return undefined;
+    }
+    const top = this.items[0];
+    this.removeAt(0);
+    return top;
+  }
+
+  /**
+   * Remove a specific item
+   * @param {Object} item - Item previously pushed
+   * @returns {boolean} True if the item was still queued
+   */
+  remove(item) {
+    const index = item.heapIndex;
+    if (index === undefined || this.items[index] !== item) {
+      return false;
+    }
+    this.removeAt(index);
+    return true;
+  }
+
+  /**
+   * Remove and return every item
+   * @returns {Array<Object>} Items in no particular order
+   */
+  drain() {
+    const items = this.items;
+    this.items = [];
+    items.forEach(item => { item.heapIndex = undefined; });
+    return items;
+  }
+
+  /**
+   * Remove the item at a heap position and restore the heap order
+   * @param {number} index - Heap position
+   */
+  removeAt(index) {
+    const removed = this.items[index];
+    const last = this.items.pop();
+    removed.heapIndex = undefined;
+
+    if (index < this.items.length) {
+      this.items[index] = last;
+      last.heapIndex = index;
+      // The moved item may belong above or below its new position
+      this.siftUp(index);
+      this.siftDown(last.heapIndex);
+    }
+  }
+
+  /**
+   * Check whether one item should be dequeued before another
+   * @param {Object} a - Heap item
+   * @param {Object} b - Heap item
+   * @returns {boolean} True if a comes first
+   */
+  before(a, b) {
+    return a.priority > b.priority || (a.priority === b.priority && a.sequence < b.sequence);
+  }
+
+  /**
+   * Move an item up until its parent comes before it
+   * @param {number} index - Heap position
+   */
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(this.items[index], this.items[parent])) {
+        break;
+      }
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  /**
+   * Move an item down until it comes before both children
+   * @param {number} index - Heap position
+   */
+  siftDown(index) {
+    const length = this.items.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let first = index;
+
+      if (left < length && this.before(this.items[left], this.items[first])) {
+        first = left;
+      }
+      if (right < length && this.before(this.items[right], this.items[first])) {
+        first = right;
+      }
+      if (first === index) {
+        return;
+      }
+
+      this.swap(index, first);
+      index = first;
+    }
+  }
+
+  /**
+   * Swap two heap positions
+   * @param {number} i - Heap position
+   * @param {number} j - Heap position
+   */
+  swap(i, j) {
+    const items = this.items;
+    [items[i], items[j]] = [items[j], items[i]];
+    items[i].heapIndex = i;
+    items[j].heapIndex = j;
+  }
+}
+
+module.exports = PriorityHeap;
@@ -1,25 +1,49 @@
+const PriorityHeap = require('./priorityHeap');
+const { QueueFullError, CancelledError, TimeoutError } = require('./errors');
+
 class QueueManager {
   constructor(config = {}) {
     this.concurrency = config.concurrency || 5;
     this.timeout = config.timeout || 30000;
+    // Tasks allowed to wait; further tasks are rejected until the queue drains
+    this.maxQueueLength = config.maxQueueLength || 1000;
     
-    this.queue = [];
+    this.queue = new PriorityHeap();
     this.running = 0;
+    this.paused = false;
+    // Moving average of task run time, used to estimate Retry-After
+    this.averageTaskTime = null;
     this.stats = {
       total: 0,
       completed: 0,
       failed: 0,
-      pending: 0
+      timedOut: 0,
+      pending: 0,
+      cancelled: 0,
+      rejected: 0
     };
   }
 
   /**
    * Add a task to the queue
-   * @param {Function} task - Async function to execute
+   * @param {Function} task - Async function to execute. It receives `{ signal }`, an
+   *   AbortSignal that fires on timeout or cancellation; the task should stop when it does
    * @param {Object} options - Task options
+   * @param {number} [options.timeout] - Task timeout in milliseconds
+   * @param {number} [options.priority] - Higher runs first (default 0)
+   * @param {AbortSignal} [options.signal] - Cancels the task, whether it is still queued or already running
    * @returns {Promise} Task result
    */
   async addTask(task, options = {}) {
+    const { signal } = options;
+
+    if (signal && signal.aborted) {
+      this.stats.cancelled++;
+      throw new CancelledError();
+    }
+
+    this.checkCapacity();
+
     this.stats.total++;
     this.stats.pending++;
     
@@ -33,60 +57,154 @@ class QueueManager {
         startTime: Date.now()
       };
       
-      // Add to queue and sort by priority (higher priority first)
-      this.queue.push(queueItem);
-      this.queue.sort((a, b) => b.priority - a.priority);
+      if (signal) {
+        queueItem.onAbort = () => this.cancel(queueItem);
+        signal.addEventListener('abort', queueItem.onAbort, { once: true });
+        queueItem.signal = signal;
+      }
       
-      // Process queue
+      this.queue.push(queueItem);
       this.processQueue();
     });
   }
 
   /**
-   * Process the queue
+   * Cancel a task: a queued task is removed, a running one is aborted
+   * @param {Object} item - Queue item
    */
-  async processQueue() {
-    if (this.running >= this.concurrency || this.queue.length === 0) {
+  cancel(item) {
+    const error = new CancelledError();
+
+    if (this.queue.remove(item)) {
+      this.stats.pending--;
+      this.stats.cancelled++;
+      item.reject(error);
+    } else if (item.controller) {
+      this.abortItem(item, error, 'cancelled');
+    }
+  }
+
+  /**
+   * Check whether new tasks would be rejected
+   * @returns {boolean} True if the queue is at maxQueueLength
+   */
+  isFull() {
+    return this.queue.size() >= this.maxQueueLength;
+  }
+
+  /**
+   * Reject new work while the queue is full
+   * @throws {QueueFullError} Error carrying a `retryAfter` estimate in seconds
+   */
+  checkCapacity() {
+    if (!this.isFull()) {
       return;
     }
 
-    const item = this.queue.shift();
-    if (!item) return;
+    this.stats.rejected++;
+    const retryAfter = this.getRetryAfter();
+    throw new QueueFullError('The server is busy. Retry after the time in the Retry-After header.', {
+      retryAfter,
+      details: { retryAfter }
+    });
+  }
+
+  /**
+   * Estimate when the queue will have room again
+   * @returns {number} Seconds (at least 1)
+   */
+  getRetryAfter() {
+    const taskTime = this.averageTaskTime || 1000;
+    const waitMs = (this.queue.size() / this.concurrency) * taskTime;
+    return Math.max(1, Math.ceil(waitMs / 1000));
+  }
+
+  /**
+   * Start queued tasks while there are free slots
+   */
+  processQueue() {
+    while (!this.paused && this.running < this.concurrency && this.queue.size() > 0) {
+      this.runItem(this.queue.pop());
+    }
+  }
 
+  /**
+   * Run a single queue item. The caller's promise is settled exactly once:
+   * with the task's outcome, or with an error as soon as the task times out
+   * or is cancelled. The slot stays taken until the task has actually stopped.
+   * @param {Object} item - Queue item
+   */
+  async runItem(item) {
     this.running++;
     this.stats.pending--;
+    item.controller = new AbortController();
+    const startedAt = Date.now();
+
+    const timeoutId = setTimeout(() => {
+      this.abortItem(item, new TimeoutError('The analysis took too long and was stopped.', { code: 'TASK_TIMEOUT' }), 'timedOut');
+    }, item.timeout);
 
     try {
-      // Set up timeout
-      const timeoutId = setTimeout(() => {
+      const result = await item.task({ signal: item.controller.signal });
+      if (this.settle(item)) {
+        this.stats.completed++;
+        this.recordTaskTime(Date.now() - startedAt);
+        item.resolve(result);
+      }
+    } catch (error) {
+      if (this.settle(item)) {
         this.stats.failed++;
-        this.running--;
-        item.reject(new Error('Task timeout'));
-        this.processQueue();
-      }, item.timeout);
-
-      // Execute task
-      const result = await item.task();
-      
-      // Clear timeout and resolve
+        item.reject(error);
+      }
+    } finally {
       clearTimeout(timeoutId);
-      this.stats.completed++;
+      if (item.signal) {
+        item.signal.removeEventListener('abort', item.onAbort);
+      }
       this.running--;
-      item.resolve(result);
-      
-      // Process next item
-      this.processQueue();
-      
-    } catch (error) {
-      this.stats.failed++;
-      this.running--;
-      item.reject(error);
-      
-      // Process next item
       this.processQueue();
     }
   }
 
+  /**
+   * Reject a running task and signal it to stop
+   * @param {Object} item - Running queue item
+   * @param {Error} error - Rejection error, also used as the abort reason
+   * @param {string} counter - Stats counter to increment (`timedOut` or `cancelled`)
+   */
+  abortItem(item, error, counter) {
+    if (!this.settle(item)) {
+      return;
+    }
+
+    this.stats[counter]++;
+    item.reject(error);
+    item.controller.abort(error);
+  }
+
+  /**
+   * Mark a queue item as settled
+   * @param {Object} item - Queue item
+   * @returns {boolean} True the first time, false if the item was already settled
+   */
+  settle(item) {
+    if (item.settled) {
+      return false;
+    }
+    item.settled = true;
+    return true;
+  }
+
+  /**
+   * Update the moving average of task run time
+   * @param {number} duration - Run time in milliseconds
+   */
+  recordTaskTime(duration) {
+    this.averageTaskTime = this.averageTaskTime === null
+      ? duration
+      : this.averageTaskTime * 0.9 + duration * 0.1;
+  }
+
   /**
    * Get current queue statistics
    * @returns {Object} Queue statistics
@@ -95,26 +213,26 @@ class QueueManager {
     return {
       ...this.stats,
       concurrency: this.concurrency,
-      size: this.queue.length,
-      pending: this.running,
-      isPaused: false
+      size: this.queue.size(),
+      maxQueueLength: this.maxQueueLength,
+      running: this.running,
+      isPaused: this.paused
     };
   }
 
   /**
-   * Pause the queue (not implemented in this simple version)
+   * Stop starting queued tasks; running tasks finish and new tasks still queue
    */
   pause() {
-    // Simple implementation - just log
-    console.log('Queue pause requested (not implemented in simple version)');
+    this.paused = true;
   }
 
   /**
-   * Resume the queue (not implemented in this simple version)
+   * Start queued tasks again
    */
   resume() {
-    // Simple implementation - just log
-    console.log('Queue resume requested (not implemented in simple version)');
+    this.paused = false;
+    this.processQueue();
   }
 
   /**
@@ -122,10 +240,12 @@ class QueueManager {
    */
   clear() {
     // Reject all pending tasks
-    this.queue.forEach(item => {
-      item.reject(new Error('Queue cleared'));
+    this.queue.drain().forEach(item => {
+      if (item.signal) {
+        item.signal.removeEventListener('abort', item.onAbort);
+      }
+      item.reject(new CancelledError('The server is shutting down and dropped the queued request.', { code: 'QUEUE_CLEARED' }));
     });
-    this.queue = [];
     this.stats.pending = 0;
   }
 
@@ -136,7 +256,7 @@ class QueueManager {
   async onIdle() {
     return new Promise((resolve) => {
       const checkIdle = () => {
-        if (this.running === 0 && this.queue.length === 0) {
+        if (this.running === 0 && this.queue.size() === 0) {
           resolve();
         } else {
           setTimeout(checkIdle, 100);
@@ -168,7 +288,10 @@ class QueueManager {
       total: 0,
       completed: 0,
       failed: 0,
-      pending: 0
+      timedOut: 0,
+      pending: this.queue.size(),
+      cancelled: 0,
+      rejected: 0
     };
   }
 
@@ -178,6 +301,7 @@ class QueueManager {
    */
   getHealth() {
     const stats = this.getStats();
+    // Healthy while the backlog of queued tasks stays short
     const isHealthy = stats.pending < (this.concurrency * 2);
     
     return {
@@ -0,0 +1,117 @@
+const Ajv = require('ajv');
+const ApiSpec = require('./apiSpec');
+const ErrorHandler = require('./errorHandler');
+
+/**
+ * Validates request bodies and query strings against the OpenAPI document
+ */
+class RequestValidator {
+  constructor(config = {}) {
+    this.spec = config.spec;
+    // JSON bodies must have the documented types; form fields and query
+    // strings are always strings, so those are coerced before checking
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true, validateFormats: false });
+    this.coercingAjv = new Ajv({ allErrors: true, allowUnionTypes: true, validateFormats: false, coerceTypes: true });
+    this.validators = new Map();
+
+    for (const { method, path, operation } of this.spec.listOperations()) {
+      this.validators.set(`${method.toUpperCase()} ${path}`, this.compile(operation));
+    }
+  }
+
+  /**
+   * Compile the body and query validators of an operation
+   * @param {Object} operation - OpenAPI operation object
+   * @returns {Object} `{ json, form, query }` validate functions, each null when not applicable
+   */
+  compile(operation) {
+    const content = (operation.requestBody && operation.requestBody.content) || {};
+    const queryParameters = (operation.parameters || []).filter(parameter => parameter.in === 'query');
+
+    return {
+      json: content['application/json'] ? this.ajv.compile(content['application/json'].schema) : null,
+      form: content['multipart/form-data'] ? this.coercingAjv.compile(content['multipart/form-data'].schema) : null,
+      query: queryParameters.length > 0
+        ? this.coercingAjv.compile({
+          type: 'object',
+          properties: Object.fromEntries(queryParameters.map(parameter => [parameter.name, parameter.schema])),
+          required: queryParameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+        })
+        : null
+    };
+  }
+
+  /**
+   * Express middleware for a documented route. Put it after the body parsers
+   * so multipart fields are available; raw image and video bodies are skipped.
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const validators = this.validators.get(`${req.method} ${ApiSpec.toOpenApiPath(req.route.path)}`);
+      const fields = validators ? this.validate(validators, req) : [];
+
+      if (fields.length > 0) {
+        const summary = fields.map(({ field, message }) => `${field} ${message}`).join('; ');
+        return ErrorHandler.handleValidationError(req, res, `Invalid request: ${summary}`, fields);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Validate a request's query string and body
+   * @param {Object} validators - Validators from compile
+   * @param {Object} req - Express request object
+   * @returns {Array<Object>} Field errors as `{ field, in, message }`; empty if valid
+   */
+  validate(validators, req) {
+    const fields = [];
+
+    if (validators.query && !validators.query(req.query)) {
+      fields.push(...this.formatErrors(validators.query.errors, 'query'));
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+      // Bodies without a JSON content type are parsed as empty objects and
+      // checked like JSON, so required fields are still reported
+      const validateBody = req.is('multipart/form-data') ? validators.form : validators.json;
+      if (validateBody && !validateBody(req.body || {})) {
+        fields.push(...this.formatErrors(validateBody.errors, 'body'));
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Turn Ajv errors into field errors
+   * @param {Array<Object>} errors - Ajv errors
+   * @param {string} location - `body` or `query`
+   * @returns {Array<Object>} Field errors as `{ field, in, message }`
+   */
+  formatErrors(errors, location) {
+    return errors.map(error => {
+      const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+      let message = error.message;
+
+      if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+        message = 'is required';
+      } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      } else if (error.keyword === 'type') {
+        message = `must be ${[].concat(error.params.type).join(' or ')}`;
+      }
+
+      const field = segments.reduce((path, segment) => (/^\d+$/.test(segment)
+        ? `${path}[${segment}]`
+        : path ? `${path}.${segment}` : segment), '');
+
+      return { field: field || location, in: location, message };
+    });
+  }
+}
+
+module.exports = RequestValidator;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const MemoryCacheStore = require('./memoryCacheStore');
+const Logger = require('./logger');
+
+class ResultCache {
+  constructor(config = {}) {
+    this.enabled = config.enabled !== false;
+    this.store = config.store || new MemoryCacheStore({ maxEntries: config.maxEntries });
+    this.ttl = config.ttl || 24 * 60 * 60 * 1000;
+    // Upper bound for URL shortcuts, whatever the origin's cache headers allow
+    this.urlMaxTtl = config.urlMaxTtl || 60 * 60 * 1000;
+    this.logger = config.logger || new Logger();
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      urlHits: 0,
+      urlMisses: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Hash image bytes into a content key
+   * @param {Buffer} imageBuffer - Processed image bytes
+   * @param {string} [variant] - Extra input that changes the result for the same bytes
+   * @returns {string} Hex SHA-256
+   */
+  static hash(imageBuffer, variant) {
+    const hash = crypto.createHash('sha256').update(imageBuffer);
+    if (variant) {
+      hash.update(`\0${variant}`);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get a cached analysis result
+   * @param {string} contentHash - Content hash from ResultCache.hash
+   * @param {string} modelId - Model that produced the result
+   * @returns {Promise<Object|null>} Cached result, or null on a miss
+   */
+  async get(contentHash, modelId) {
+    const result = await this.safely(() => this.store.get(`result:${modelId}:${contentHash}`));
+
+    if (result) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Cache an analysis result
+   * @param {string} contentHash - Content hash from ResultCache.hash
+   * @param {string} modelId - Model that produced the result
+   * @param {Object} result - Analysis result
+   * @returns {Promise<void>}
+   */
+  async set(contentHash, modelId, result) {
+    await this.safely(() => this.store.set(`result:${modelId}:${contentHash}`, result, this.ttl));
+  }
+
+  /**
+   * Get a cached result for a URL whose content hash is still fresh
+   * @param {string} url - Image URL
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object|null>} Cached result with its content hash, or null on a miss
+   */
+  async getByUrl(url, modelId) {
+    const contentHash = await this.safely(() => this.store.get(`url:${url}`));
+    const result = contentHash
+      ? await this.safely(() => this.store.get(`result:${modelId}:${contentHash}`))
+      : null;
+
+    if (result) {
+      this.stats.urlHits++;
+      return { contentHash, result };
+    }
+
+    this.stats.urlMisses++;
+    return null;
+  }
+
+  /**
+   * Remember which content a URL served, for as long as its cache headers allow
+   * @param {string} url - Image URL
+   * @param {string} contentHash - Content hash of the fetched image
+   * @param {Object} headers - HTTP response headers
+   * @returns {Promise<void>}
+   */
+  async setUrl(url, contentHash, headers) {
+    const ttl = Math.min(this.getFreshness(headers), this.urlMaxTtl);
+    if (ttl > 0) {
+      await this.safely(() => this.store.set(`url:${url}`, contentHash, ttl));
+    }
+  }
+
+  /**
+   * Work out how long a response may be reused from its cache headers
+   * @param {Object} headers - HTTP response headers
+   * @returns {number} Freshness lifetime in milliseconds (0 if it must not be reused)
+   */
+  getFreshness(headers) {
+    if (!headers) {
+      return 0;
+    }
+
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    if (/\b(no-store|no-cache|private)\b/.test(cacheControl)) {
+      return 0;
+    }
+
+    const maxAge = cacheControl.match(/\b(?:s-maxage|max-age)=(\d+)/);
+    if (maxAge) {
+      const age = parseInt(headers.age) || 0;
+      return Math.max(0, parseInt(maxAge[1]) - age) * 1000;
+    }
+
+    if (headers.expires) {
+      const expires = Date.parse(headers.expires);
+      const date = headers.date ? Date.parse(headers.date) : Date.now();
+      if (!Number.isNaN(expires) && !Number.isNaN(date)) {
+        return Math.max(0, expires - date);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Run a store operation, treating store failures as cache misses
+   * @param {Function} operation - Async store operation
+   * @returns {Promise<*>} Operation result, or null if it failed
+   */
+  async safely(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.error('Result cache error', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Hit/miss counters and store size
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 10000 : 0,
+      size: await this.safely(() => this.store.size())
+    };
+  }
+}
+
+module.exports = ResultCache;
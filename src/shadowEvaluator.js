@@ -0,0 +1,206 @@
+const Metrics = require('./metrics');
+const Logger = require('./logger');
+
+/**
+ * Compares shadow candidate models with the serving versions on a sample of
+ * live traffic. Clients only ever get the serving model's result; for sampled
+ * images the candidate's scores are compared class by class and by policy
+ * outcome, each comparison is logged, and the differences are summed up per
+ * model so a candidate can be judged before it is promoted.
+ */
+class ShadowEvaluator {
+  constructor(config = {}) {
+    this.percent = config.percent !== undefined ? config.percent : 10;
+    // Also rejects NaN from an unparseable SHADOW_PERCENT; 0 only shadows candidates given their own percent
+    if (!(this.percent >= 0 && this.percent <= 100)) {
+      throw new Error(`Invalid shadow percentage: ${this.percent}. Use a number from 0 to 100.`);
+    }
+    // Sampled images whose candidate classification may run at once, per model;
+    // further samples are skipped so shadowing cannot pile up work
+    this.maxPending = config.maxPending || 4;
+    this.metrics = config.metrics || new Metrics();
+    this.logger = config.logger || new Logger();
+    this.random = config.random || Math.random;
+    // Shadowed models by ID
+    this.models = new Map();
+  }
+
+  /**
+   * Start shadowing a model, resetting its statistics
+   * @param {string} modelId - Model ID
+   * @param {Object} candidate - `{ directory, version }` describing the candidate, for logs and stats
+   * @param {number} [percent] - Share of requests to shadow (defaults to the configured percentage)
+   * @returns {Object} The model's shadow statistics
+   */
+  start(modelId, candidate, percent) {
+    this.models.set(modelId, {
+      candidate,
+      percent: percent !== undefined ? percent : this.percent,
+      startedAt: new Date().toISOString(),
+      pending: 0,
+      sampled: 0,
+      compared: 0,
+      disagreements: 0,
+      errors: 0,
+      skipped: 0,
+      diffSums: {},
+      maxDiffs: {},
+      outcomeChanges: {}
+    });
+    return this.getStats(modelId);
+  }
+
+  /**
+   * Stop shadowing a model
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} Final statistics, or null if the model was not shadowed
+   */
+  stop(modelId) {
+    const stats = this.getStats(modelId);
+    this.models.delete(modelId);
+    return stats;
+  }
+
+  /**
+   * Decide whether to shadow one request
+   * @param {string} modelId - Model ID
+   * @returns {boolean} True if the candidate should classify the image too
+   */
+  sample(modelId) {
+    const shadow = this.models.get(modelId);
+    if (!shadow || this.random() * 100 >= shadow.percent) {
+      return false;
+    }
+    if (shadow.pending >= this.maxPending) {
+      shadow.skipped++;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Classify a sampled image with the candidate and record the comparison.
+   * Never rejects; failures are logged and counted.
+   * @param {string} modelId - Model ID
+   * @param {Object} predictions - Serving model's formatted predictions
+   * @param {Function} classifyCandidate - Async function returning the candidate's formatted predictions
+   * @param {Function} assess - Returns the safety assessment for predictions, under the request's policy
+   * @returns {Promise<Object|null>} The comparison, or null if the candidate failed
+   */
+  async evaluate(modelId, predictions, classifyCandidate, assess) {
+    const shadow = this.models.get(modelId);
+    if (!shadow) {
+      return null;
+    }
+
+    shadow.pending++;
+    shadow.sampled++;
+    try {
+      const candidatePredictions = await classifyCandidate();
+      const comparison = this.compare(predictions, candidatePredictions, assess);
+      this.record(modelId, shadow, comparison);
+      return comparison;
+    } catch (error) {
+      shadow.errors++;
+      this.metrics.shadowComparisons.inc({ model: modelId, result: 'error' });
+      this.logger.warn('Shadow classification failed', { model: modelId, error });
+      return null;
+    } finally {
+      shadow.pending--;
+    }
+  }
+
+  /**
+   * Compare the serving model's and the candidate's predictions
+   * @param {Object} predictions - Serving model's formatted predictions
+   * @param {Object} candidatePredictions - Candidate's formatted predictions
+   * @param {Function} assess - Returns the safety assessment for predictions
+   * @returns {Object} `{ diffs, current, candidate, agree }`; diffs are candidate minus serving, per class
+   */
+  compare(predictions, candidatePredictions, assess) {
+    const diffs = {};
+    for (const className of Object.keys(predictions)) {
+      diffs[className] = Math.round(((candidatePredictions[className] || 0) - predictions[className]) * 10000) / 10000;
+    }
+
+    const summarize = ({ outcome, assessment, mostLikelyCategory, rule }) => ({ outcome, assessment, mostLikelyCategory, rule });
+    const current = summarize(assess(predictions));
+    const candidate = summarize(assess(candidatePredictions));
+
+    return { diffs, current, candidate, agree: current.outcome === candidate.outcome };
+  }
+
+  /**
+   * Add a comparison to a model's statistics, count it and log it
+   * @param {string} modelId - Model ID
+   * @param {Object} shadow - The model's shadow state
+   * @param {Object} comparison - Result of compare
+   */
+  record(modelId, shadow, comparison) {
+    shadow.compared++;
+    for (const [className, diff] of Object.entries(comparison.diffs)) {
+      shadow.diffSums[className] = (shadow.diffSums[className] || 0) + Math.abs(diff);
+      shadow.maxDiffs[className] = Math.max(shadow.maxDiffs[className] || 0, Math.abs(diff));
+    }
+    if (!comparison.agree) {
+      shadow.disagreements++;
+      const change = `${comparison.current.outcome}->${comparison.candidate.outcome}`;
+      shadow.outcomeChanges[change] = (shadow.outcomeChanges[change] || 0) + 1;
+    }
+
+    this.metrics.shadowComparisons.inc({ model: modelId, result: comparison.agree ? 'agree' : 'disagree' });
+    this.logger.info('Shadow comparison', {
+      model: modelId,
+      candidate: shadow.candidate,
+      agree: comparison.agree,
+      current: comparison.current,
+      shadow: comparison.candidate,
+      diffs: comparison.diffs
+    });
+  }
+
+  /**
+   * Get shadow statistics for a model
+   * @param {string} modelId - Model ID
+   * @returns {Object|null} Statistics, or null if the model is not shadowed
+   */
+  getStats(modelId) {
+    const shadow = this.models.get(modelId);
+    if (!shadow) {
+      return null;
+    }
+
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const meanAbsDiff = {};
+    const maxAbsDiff = {};
+    for (const className of Object.keys(shadow.diffSums)) {
+      meanAbsDiff[className] = round(shadow.diffSums[className] / shadow.compared);
+      maxAbsDiff[className] = round(shadow.maxDiffs[className]);
+    }
+
+    return {
+      candidate: shadow.candidate,
+      percent: shadow.percent,
+      startedAt: shadow.startedAt,
+      sampled: shadow.sampled,
+      compared: shadow.compared,
+      disagreements: shadow.disagreements,
+      agreementRate: shadow.compared > 0 ? round(1 - shadow.disagreements / shadow.compared) : null,
+      errors: shadow.errors,
+      skipped: shadow.skipped,
+      meanAbsDiff,
+      maxAbsDiff,
+      outcomeChanges: { ...shadow.outcomeChanges }
+    };
+  }
+
+  /**
+   * Get shadow statistics for every shadowed model
+   * @returns {Object} Statistics keyed by model ID
+   */
+  getAllStats() {
+    return Object.fromEntries(Array.from(this.models.keys()).map(modelId => [modelId, this.getStats(modelId)]));
+  }
+}
+
+module.exports = ShadowEvaluator;
@@ -0,0 +1,59 @@
+/**
+ * Token bucket rate limiter: holds up to `capacity` tokens and refills
+ * continuously at `refillPerSecond`, so short bursts are allowed while the
+ * long-run rate stays bounded
+ */
+class TokenBucket {
+  constructor(config = {}) {
+    this.capacity = config.capacity || 60;
+    this.refillPerSecond = config.refillPerSecond || 1;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.updatedAt) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take tokens if enough are available
+   * @param {number} count - Tokens to take
+   * @returns {boolean} True if the tokens were taken
+   */
+  take(count = 1) {
+    this.refill();
+    if (this.tokens < count) {
+      return false;
+    }
+    this.tokens -= count;
+    return true;
+  }
+
+  /**
+   * Get the whole tokens currently available
+   * @returns {number} Available tokens
+   */
+  remaining() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+
+  /**
+   * Time until a number of tokens is available
+   * @param {number} count - Tokens needed
+   * @returns {number} Milliseconds to wait (0 if available now)
+   */
+  timeUntil(count = 1) {
+    this.refill();
+    const missing = Math.min(count, this.capacity) - this.tokens;
+    return missing > 0 ? Math.ceil((missing / this.refillPerSecond) * 1000) : 0;
+  }
+}
+
+module.exports = TokenBucket;
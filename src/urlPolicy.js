@@ -0,0 +1,140 @@
+const dns = require('dns');
+const net = require('net');
+const { InvalidUrlError, UrlBlockedError } = require('./errors');
+
+/**
+ * Address ranges an image URL must never reach: loopback, private (RFC 1918,
+ * unique local), link-local (incl. cloud metadata at 169.254.169.254),
+ * carrier-grade NAT, multicast and reserved space.
+ */
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+class UrlPolicy {
+  constructor(config = {}) {
+    this.allowedHosts = (config.allowedHosts || []).map(host => host.toLowerCase());
+    this.deniedHosts = (config.deniedHosts || []).map(host => host.toLowerCase());
+    this.allowedPorts = config.allowedPorts || [80, 443];
+    // Only for development setups that serve test images from localhost or a LAN
+    this.allowPrivateNetworks = config.allowPrivateNetworks === true;
+
+    this.blockList = new net.BlockList();
+    for (const [address, prefix, type] of BLOCKED_RANGES) {
+      this.blockList.addSubnet(address, prefix, type);
+    }
+
+    // Handed to the HTTP client so every connection, including each redirect hop, is checked
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Check a URL's scheme, host and port before it is requested
+   * @param {string} url - Absolute URL
+   * @returns {URL} Parsed URL
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new InvalidUrlError();
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new UrlBlockedError(`The image URL uses an unsupported protocol: ${parsed.protocol}`, {
+        details: { reason: 'protocol' }
+      });
+    }
+
+    // URL keeps brackets around IPv6 literals
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (this.deniedHosts.some(pattern => this.matchesHost(host, pattern))) {
+      throw new UrlBlockedError(`The image host ${host} is denied.`, { details: { reason: 'host' } });
+    }
+
+    if (this.allowedHosts.length > 0 && !this.allowedHosts.some(pattern => this.matchesHost(host, pattern))) {
+      throw new UrlBlockedError(`The image host ${host} is not in the allowed hosts.`, { details: { reason: 'host' } });
+    }
+
+    const port = parseInt(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80);
+    if (this.allowedPorts.length > 0 && !this.allowedPorts.includes(port)) {
+      throw new UrlBlockedError(`Port ${port} is not allowed for image URLs.`, { details: { reason: 'port' } });
+    }
+
+    // IP literals never go through DNS, so check them here
+    if (net.isIP(host)) {
+      this.checkAddress(host);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Match a hostname against `example.com` (exact) or `*.example.com` (any subdomain)
+   * @param {string} host - Lowercased hostname
+   * @param {string} pattern - Lowercased host pattern
+   * @returns {boolean} True if the host matches
+   */
+  matchesHost(host, pattern) {
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+  }
+
+  /**
+   * Reject addresses in loopback, private, link-local or reserved ranges
+   * @param {string} address - IPv4 or IPv6 address
+   */
+  checkAddress(address) {
+    if (this.allowPrivateNetworks) {
+      return;
+    }
+
+    // BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+    if (this.blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')) {
+      // The resolved address is not echoed, so DNS answers for internal names do not leak
+      throw new UrlBlockedError('The image URL points to a private, loopback or reserved address.', {
+        details: { reason: 'address' }
+      });
+    }
+  }
+
+  /**
+   * dns.lookup replacement that refuses hostnames resolving to blocked addresses.
+   * The connection uses the address checked here, so a second DNS answer cannot swap it.
+   * @param {string} hostname - Hostname to resolve
+   * @param {Object} options - dns.lookup options
+   * @returns {Promise<Array<Object>>} Resolved `{ address, family }` entries
+   */
+  async lookup(hostname, options = {}) {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+
+    // One bad record is enough to refuse: the client may pick any of them
+    for (const { address } of addresses) {
+      this.checkAddress(address);
+    }
+
+    return addresses;
+  }
+}
+
+module.exports = UrlPolicy;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { TimeoutError, VideoProcessingError, DecoderUnavailableError } = require('./errors');
+
+// Longest unterminated ffmpeg stderr line held in memory while waiting for its end
+const MAX_STDERR_LINE = 4096;
+
+class VideoProcessor {
+  constructor(config = {}) {
+    this.ffmpegPath = config.ffmpegPath || 'ffmpeg';
+    this.interval = config.interval || 1;
+    this.sceneThreshold = config.sceneThreshold || null;
+    this.maxFrames = config.maxFrames || 120;
+    this.maxDimension = config.maxDimension || 1024;
+    this.timeout = config.timeout || 120000;
+    // Directory that `path` inputs are resolved against; local files are disabled without it
+    this.localDir = config.localDir ? path.resolve(config.localDir) : null;
+  }
+
+  /**
+   * Resolve a client-supplied local video path inside the configured directory
+   * @param {string} videoPath - Path relative to the local video directory
+   * @returns {string|null} Absolute path, or null if local files are disabled or the path escapes the directory
+   */
+  resolveLocalPath(videoPath) {
+    if (!this.localDir || typeof videoPath !== 'string') {
+      return null;
+    }
+
+    const resolved = path.resolve(this.localDir, videoPath);
+    if (!resolved.startsWith(this.localDir + path.sep)) {
+      return null;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Write uploaded video bytes to a temporary file so the decoder can seek in it
+   * @param {Buffer} videoBuffer - Uploaded video bytes
+   * @returns {Promise<string>} Path to the temporary file
+   */
+  async writeTempVideo(videoBuffer) {
+    const filePath = path.join(os.tmpdir(), `nsfw-video-${crypto.randomUUID()}`);
+    await fs.promises.writeFile(filePath, videoBuffer);
+    return filePath;
+  }
+
+  /**
+   * Remove a temporary video file
+   * @param {string} filePath - Temporary file path
+   * @returns {Promise<void>}
+   */
+  async removeTempVideo(filePath) {
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  /**
+   * Fill in sampling defaults for a request
+   * @param {Object} options - Requested sampling options
+   * @returns {Object} Effective sampling: `{ mode: 'scene', sceneThreshold }` or `{ mode: 'interval', interval }`
+   */
+  resolveSampling(options = {}) {
+    const sceneThreshold = options.sceneThreshold || (options.interval ? null : this.sceneThreshold);
+
+    if (sceneThreshold) {
+      return { mode: 'scene', sceneThreshold };
+    }
+
+    return { mode: 'interval', interval: options.interval || this.interval };
+  }
+
+  /**
+   * Decode a video and sample frames at a fixed interval or on scene changes
+   * @param {string} videoPath - Path to the video file
+   * @param {Object} options - Sampling options
+   * @param {number} [options.interval] - Seconds between sampled frames
+   * @param {number} [options.sceneThreshold] - Scene-change score (0-1); overrides interval when set
+   * @param {AbortSignal} [options.signal] - Kills ffmpeg when aborted
+   * @returns {Promise<Array<Object>>} Frames as `{ time, buffer }` JPEGs, ordered by time
+   */
+  async extractFrames(videoPath, options = {}) {
+    const { interval, sceneThreshold } = this.resolveSampling(options);
+
+    const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nsfw-frames-'));
+
+    try {
+      const select = sceneThreshold
+        ? `select='eq(n\\,0)+gt(scene\\,${sceneThreshold})'`
+        : `fps=1/${interval}`;
+      const scale = `scale='min(${this.maxDimension},iw)':'min(${this.maxDimension},ih)':force_original_aspect_ratio=decrease`;
+
+      // showinfo logs one line per output frame, in order, with its presentation time
+      const times = [];
+      await this.runFfmpeg([
+        '-hide_banner',
+        '-nostdin',
+        '-i', videoPath,
+        '-an',
+        '-vf', `${select},${scale},showinfo`,
+        '-fps_mode', 'vfr',
+        '-frames:v', String(this.maxFrames),
+        '-q:v', '3',
+        path.join(outputDir, 'frame-%05d.jpg')
+      ], options.signal, (line) => {
+        const match = line.match(/Parsed_showinfo.*?pts_time:\s*([\d.]+)/);
+        if (match) {
+          times.push(parseFloat(match[1]));
+        }
+      });
+
+      const files = (await fs.promises.readdir(outputDir))
+        .filter(name => name.endsWith('.jpg'))
+        .sort();
+
+      const frames = [];
+      for (let i = 0; i < files.length; i++) {
+        frames.push({
+          time: times[i] !== undefined ? times[i] : i * (interval || 0),
+          buffer: await fs.promises.readFile(path.join(outputDir, files[i]))
+        });
+      }
+
+      if (frames.length === 0) {
+        throw new VideoProcessingError('No frames could be decoded from the video.', { code: 'NO_FRAMES' });
+      }
+
+      return frames;
+    } finally {
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run ffmpeg, passing each stderr line to `onLine` as it arrives
+   * @param {Array<string>} args - ffmpeg arguments
+   * @param {AbortSignal} [signal] - Kills ffmpeg and rejects with the signal's reason when aborted
+   * @param {Function} [onLine] - Called with every complete stderr line
+   * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+   */
+  runFfmpeg(args, signal, onLine = () => {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
+      }
+
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      // Only the last line is kept, for the error message; the rest is handed to onLine
+      let lastLine = '';
+      let partial = '';
+      const pushLine = (line) => {
+        if (line.trim()) {
+          lastLine = line;
+          onLine(line);
+        }
+      };
+
+      const timeoutId = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new TimeoutError('Decoding the video took too long.', { code: 'DECODE_TIMEOUT' }));
+      }, this.timeout);
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        child.kill('SIGKILL');
+        reject(signal.reason);
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+        child.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', chunk => {
+        // ffmpeg ends progress updates with \r and log lines with \n
+        const lines = (partial + chunk).split(/\r\n|\r|\n/);
+        partial = lines.pop().slice(-MAX_STDERR_LINE);
+        lines.forEach(pushLine);
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timeoutId);
+        if (error.code === 'ENOENT') {
+          reject(new DecoderUnavailableError('Video analysis is not available on this server: no video decoder is installed.', { cause: error }));
+        } else {
+          reject(new VideoProcessingError('The video decoder could not be started.', { cause: error }));
+        }
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timeoutId);
+        pushLine(partial);
+        partial = '';
+        if (code === 0) {
+          resolve();
+        } else {
+          // ffmpeg's message can include server paths, so it is kept for logs only
+          reject(new VideoProcessingError('Failed to decode the video. Please ensure it is a valid video file.', {
+            cause: new Error(lastLine.trim() || `exit code ${code}`)
+          }));
+        }
+      });
+    });
+  }
+}
+
+module.exports = VideoProcessor;
@@ -0,0 +1,506 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const InferenceBatcher = require('./inferenceBatcher');
+const Metrics = require('./metrics');
+const Logger = require('./logger');
+const { ValidationError, ModelUnavailableError, ModelLoadError, NotFoundError, WorkerError } = require('./errors');
+
+const LOADING_STATES = ['pending', 'loading', 'retrying'];
+
+// Typed errors a worker may report for a task or model command, rebuilt by name on the main thread
+const WORKER_ERRORS = { ValidationError, ModelUnavailableError, ModelLoadError, NotFoundError };
+
+/**
+ * Pool of inference worker threads (see inferenceWorker.js). Images go to the
+ * least busy worker that has the requested model ready. Workers that exit
+ * unexpectedly are restarted with backoff. A worker that leaks tensors keeps
+ * serving until its replacement has loaded, then finishes its in-flight work
+ * and is terminated.
+ */
+class WorkerPool {
+  constructor(config = {}) {
+    this.size = config.size || 1;
+    this.script = config.script || path.join(__dirname, 'inferenceWorker.js');
+    // Passed to every worker: registry, batcher and logger settings
+    this.workerData = config.workerData || {};
+    this.modelIds = config.modelIds || [];
+    // Recycle a worker that holds more tensors than this while idle
+    this.maxLeakedTensors = config.maxLeakedTensors || 100;
+    // V8 heap limit per worker; exceeding it ends the worker, which is then restarted
+    this.maxHeapMb = config.maxHeapMb || null;
+    this.restartDelay = config.restartDelay || 1000;
+    this.restartMaxDelay = config.restartMaxDelay || 30000;
+    this.metrics = config.metrics || new Metrics();
+    this.logger = config.logger || new Logger();
+
+    this.slots = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.stopped = false;
+    // Batch counters of workers that have exited, so totals survive restarts
+    this.retiredBatches = { batches: 0, images: 0, full: 0, waiting: 0 };
+  }
+
+  /**
+   * Start every worker
+   * @returns {Promise<void>} Resolves once each worker has finished loading its models (or exited)
+   */
+  async start() {
+    for (let id = 0; id < this.size; id++) {
+      this.slots.push({ id, restarts: 0, failures: 0, current: null, replacement: null });
+    }
+    await Promise.all(this.slots.map(slot => this.spawn(slot).loaded));
+  }
+
+  /**
+   * Start a worker in a slot
+   * @param {Object} slot - Pool slot
+   * @param {boolean} [replacement] - Start it next to the current worker, which it takes over from once loaded
+   * @returns {Object} Worker record
+   */
+  spawn(slot, replacement = false) {
+    const worker = new Worker(this.script, {
+      workerData: { ...this.workerData, workerId: slot.id },
+      resourceLimits: this.maxHeapMb ? { maxOldGenerationSizeMb: this.maxHeapMb } : undefined
+    });
+
+    const record = {
+      slot,
+      worker,
+      threadId: worker.threadId,
+      state: 'starting',
+      models: Object.fromEntries(this.modelIds.map(id => [id, { state: 'pending', attempts: 0, error: null }])),
+      inFlight: new Map(),
+      // Model commands waiting for an answer, by request ID
+      commands: new Map(),
+      completed: 0,
+      failed: 0,
+      memory: { numTensors: 0, numBytes: 0 },
+      batches: null,
+      startedAt: new Date().toISOString()
+    };
+    record.loaded = new Promise(resolve => {
+      record.onLoaded = resolve;
+    });
+    if (replacement) {
+      slot.replacement = record;
+    } else {
+      slot.current = record;
+    }
+
+    worker.on('message', (message) => this.handleMessage(record, message));
+    worker.on('error', (error) => this.logger.error('Inference worker error', { worker: slot.id, error }));
+    worker.on('exit', (code) => this.handleExit(record, code));
+
+    return record;
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {Object} record - Worker record
+   * @param {Object} message - Message from inferenceWorker.js
+   */
+  handleMessage(record, message) {
+    if (message.memory) {
+      record.memory = message.memory;
+    }
+    if (message.batches) {
+      record.batches = message.batches;
+    }
+
+    switch (message.type) {
+      case 'status':
+        record.models = message.models;
+        if (record.state === 'starting' && Object.values(message.models).some(model => model.state === 'ready')) {
+          record.state = 'ready';
+        }
+        break;
+      case 'loaded':
+        if (record.state === 'starting') {
+          record.state = 'ready';
+        }
+        record.slot.failures = 0;
+        record.onLoaded();
+        if (record.slot.replacement === record) {
+          this.promote(record);
+        }
+        break;
+      case 'batch':
+        this.metrics.inferenceBatchSize.observe(message.size);
+        break;
+      case 'result':
+        this.settle(record, message);
+        break;
+      case 'command':
+        this.settleCommand(record, message);
+        break;
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Resolve or reject the task a result belongs to, and recycle the worker if it leaks
+   * @param {Object} record - Worker record
+   * @param {Object} message - Result message
+   */
+  settle(record, message) {
+    const task = record.inFlight.get(message.taskId);
+    if (!task) {
+      return;
+    }
+    record.inFlight.delete(message.taskId);
+
+    if (message.error) {
+      record.failed++;
+      task.reject(this.rebuildError(message.error));
+    } else {
+      record.completed++;
+      task.resolve(message.predictions);
+    }
+
+    if (record.state !== 'draining' && message.leakedTensors > this.maxLeakedTensors) {
+      this.recycle(record, { leakedTensors: message.leakedTensors });
+    } else if (record.state === 'draining' && record.inFlight.size === 0) {
+      record.worker.terminate();
+    }
+  }
+
+  /**
+   * Start a replacement for a worker. The worker keeps serving until the replacement is loaded.
+   * @param {Object} record - Worker record
+   * @param {Object} reason - Log fields explaining the replacement
+   */
+  recycle(record, reason) {
+    if (record.slot.replacement || record.slot.current !== record) {
+      return;
+    }
+    this.logger.warn('Replacing inference worker', { worker: record.slot.id, ...reason });
+    record.slot.restarts++;
+    this.spawn(record.slot, true);
+  }
+
+  /**
+   * Hand a slot over to its loaded replacement and drain the previous worker
+   * @param {Object} record - Replacement worker record
+   */
+  promote(record) {
+    const { slot } = record;
+    const previous = slot.current;
+    slot.current = record;
+    slot.replacement = null;
+
+    if (previous && previous.state !== 'exited') {
+      previous.state = 'draining';
+      if (previous.inFlight.size === 0) {
+        previous.worker.terminate();
+      }
+    }
+  }
+
+  /**
+   * Clean up after a worker exits, and restart it unless it was replaced on purpose
+   * @param {Object} record - Worker record
+   * @param {number} code - Exit code
+   */
+  handleExit(record, code) {
+    const { slot } = record;
+    record.onLoaded();
+    this.retire(record);
+
+    for (const task of record.inFlight.values()) {
+      task.reject(new WorkerError('The inference worker stopped unexpectedly. Please try again.'));
+    }
+    record.inFlight.clear();
+    for (const command of record.commands.values()) {
+      command.reject(new WorkerError('The inference worker stopped before finishing the model command.'));
+    }
+    record.commands.clear();
+
+    if (record.state === 'draining' || this.stopped) {
+      return;
+    }
+    if (slot.replacement === record) {
+      // The current worker is still serving; a later leak check tries again
+      slot.replacement = null;
+      this.logger.error('Replacement inference worker exited before loading', { worker: slot.id, exitCode: code });
+      return;
+    }
+
+    record.state = 'exited';
+
+    slot.failures++;
+    slot.restarts++;
+    const delay = Math.min(this.restartDelay * 2 ** (slot.failures - 1), this.restartMaxDelay);
+    this.logger.error('Inference worker exited; restarting', { worker: slot.id, exitCode: code, delayMs: delay });
+
+    setTimeout(() => {
+      if (!this.stopped) {
+        this.spawn(slot);
+      }
+    }, delay).unref();
+    this.dispatch();
+  }
+
+  /**
+   * Keep the batch counters of a worker that has exited
+   * @param {Object} record - Worker record
+   */
+  retire(record) {
+    if (record.batches) {
+      for (const key of ['batches', 'images', 'full']) {
+        this.retiredBatches[key] += record.batches[key];
+      }
+      record.batches = null;
+    }
+  }
+
+  /**
+   * Classify an image on a worker
+   * @param {Object} request - `{ modelId, image, candidate }` with the image bytes; `candidate`
+   *   classifies with the model's shadow candidate instead of the serving version
+   * @returns {Promise<Array<Object>>} `{ className, probability }` for every class, most likely first
+   */
+  run({ modelId, image, candidate = false }) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ taskId: this.nextTaskId++, modelId, image, candidate, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Run a model command on every live worker: `reload` (to `dir`), `candidate`
+   * (load `dir` as the shadow candidate), `drop` or `promote` the candidate.
+   * The settings new workers start with are updated too, so restarted workers
+   * serve the same versions. Workers where the command fails are replaced.
+   * @param {string} action - Command name, see inferenceWorker.js
+   * @param {string} modelId - Model ID
+   * @param {string} [dir] - Model directory for `reload` and `candidate`
+   * @returns {Promise<void>}
+   * @throws {Error} The first worker's error if the command failed on every worker
+   */
+  async command(action, modelId, dir) {
+    const records = this.slots
+      .flatMap(slot => [slot.current, slot.replacement])
+      .filter(record => record && !['draining', 'exited'].includes(record.state));
+    const results = await Promise.allSettled(records.map(record => this.send(record, { action, modelId, dir })));
+
+    const failed = records.filter((record, index) => results[index].status === 'rejected');
+    if (records.length > 0 && failed.length === records.length) {
+      throw results[0].reason;
+    }
+
+    const registry = { sources: {}, candidates: {}, ...this.workerData.registry };
+    const sources = { ...registry.sources };
+    const candidates = { ...registry.candidates };
+    if (action === 'reload') {
+      sources[modelId] = dir;
+    } else if (action === 'candidate') {
+      candidates[modelId] = dir;
+    } else if (action === 'promote') {
+      sources[modelId] = candidates[modelId];
+    }
+    if (action === 'drop' || action === 'promote') {
+      delete candidates[modelId];
+    }
+    this.workerData = { ...this.workerData, registry: { ...registry, sources, candidates } };
+
+    for (const record of failed) {
+      this.logger.error('Model command failed on a worker', {
+        worker: record.slot.id, action, model: modelId, error: results[records.indexOf(record)].reason
+      });
+      this.recycle(record, { reason: `failed ${action} command` });
+    }
+  }
+
+  /**
+   * Send a model command to one worker
+   * @param {Object} record - Worker record
+   * @param {Object} command - `{ action, modelId, dir }`
+   * @returns {Promise<void>} Settles when the worker answers
+   */
+  send(record, command) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextTaskId++;
+      record.commands.set(requestId, { resolve, reject });
+      record.worker.postMessage({ type: 'command', requestId, ...command });
+    });
+  }
+
+  /**
+   * Resolve or reject the model command an answer belongs to
+   * @param {Object} record - Worker record
+   * @param {Object} message - Command answer
+   */
+  settleCommand(record, message) {
+    const command = record.commands.get(message.requestId);
+    if (!command) {
+      return;
+    }
+    record.commands.delete(message.requestId);
+
+    if (message.error) {
+      command.reject(this.rebuildError(message.error));
+    } else {
+      command.resolve();
+    }
+  }
+
+  /**
+   * Turn an error serialized by a worker back into the typed error it was thrown as
+   * @param {Object} error - `{ name, message, type, code, statusCode, retryable, details }`
+   * @returns {Error} The typed error, or a plain Error for anything else
+   */
+  rebuildError({ name, message, ...fields }) {
+    const ErrorClass = WORKER_ERRORS[name];
+    if (!ErrorClass) {
+      return new Error(message);
+    }
+
+    // Fields the worker did not send keep the class defaults
+    const options = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    return new ErrorClass(message, options);
+  }
+
+  /**
+   * Send waiting tasks to workers. A task waits while its model is still
+   * loading somewhere and fails once no worker can load it.
+   */
+  dispatch() {
+    const waiting = [];
+
+    for (const task of this.queue) {
+      const records = this.slots.map(slot => slot.current).filter(record => record && record.state !== 'exited');
+      const candidates = records.filter(record => record.state === 'ready' && this.hasModelReady(record, task.modelId, task.candidate));
+
+      if (candidates.length > 0) {
+        const record = candidates.reduce((best, candidate) => (candidate.inFlight.size < best.inFlight.size ? candidate : best));
+        record.inFlight.set(task.taskId, task);
+        record.worker.postMessage({ type: 'classify', taskId: task.taskId, modelId: task.modelId, image: task.image, candidate: task.candidate });
+      } else if (task.candidate) {
+        // Shadow classifications are best effort and never wait for a candidate
+        task.reject(new Error(`No inference worker has a shadow candidate for ${task.modelId} loaded`));
+      } else if (this.slots.length > 0 && records.length === this.slots.length &&
+          records.every(record => this.modelState(record, task.modelId) === 'failed')) {
+        task.reject(ModelUnavailableError.forState(task.modelId, 'failed'));
+      } else {
+        waiting.push(task);
+      }
+    }
+
+    this.queue = waiting;
+  }
+
+  /**
+   * Get a model's state on a worker
+   * @param {Object} record - Worker record
+   * @param {string} modelId - Model ID
+   * @returns {string|null} Model state, or null if the worker does not know the model
+   */
+  modelState(record, modelId) {
+    const model = record.models[modelId];
+    return model ? model.state : null;
+  }
+
+  /**
+   * Check whether a worker can classify with a model now
+   * @param {Object} record - Worker record
+   * @param {string} modelId - Model ID
+   * @param {boolean} [candidate] - Check the model's shadow candidate instead
+   * @returns {boolean} True if the model (or its candidate) is ready on the worker
+   */
+  hasModelReady(record, modelId, candidate = false) {
+    if (candidate) {
+      return Boolean(record.models[modelId] && record.models[modelId].candidate);
+    }
+    return this.modelState(record, modelId) === 'ready';
+  }
+
+  /**
+   * Get load state per model across the workers. A model is ready as soon as
+   * one worker can serve it, loading while any worker is still trying, and
+   * failed once every worker has given up.
+   * @returns {Object} Status keyed by model ID, in the shape of ModelRegistry.getStatus
+   */
+  getModelStatus() {
+    const records = this.slots.map(slot => slot.current).filter(Boolean);
+    const status = {};
+
+    for (const id of this.modelIds) {
+      const states = records.map(record => record.models[id] || { state: 'pending', attempts: 0, error: null });
+      const ready = states.find(model => model.state === 'ready');
+      const loading = states.find(model => LOADING_STATES.includes(model.state));
+      const chosen = ready || loading || states[0] || { state: 'pending', attempts: 0, error: null };
+
+      status[id] = {
+        ...chosen,
+        state: ready ? 'ready' : loading ? loading.state : chosen.state,
+        isLoaded: Boolean(ready),
+        attempts: Math.max(0, ...states.map(model => model.attempts)),
+        error: (states.find(model => model.error) || {}).error || null,
+        workersReady: states.filter(model => model.state === 'ready').length
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Get per-worker statistics for /health
+   * @returns {Array<Object>} One entry per slot
+   */
+  getWorkerStats() {
+    return this.slots.map(({ id, restarts, current }) => ({
+      id,
+      threadId: current ? current.threadId : null,
+      state: current ? current.state : 'exited',
+      inFlight: current ? current.inFlight.size : 0,
+      completed: current ? current.completed : 0,
+      failed: current ? current.failed : 0,
+      restarts,
+      tensors: current ? current.memory.numTensors : 0,
+      tensorBytes: current ? current.memory.numBytes : 0,
+      startedAt: current ? current.startedAt : null
+    }));
+  }
+
+  /**
+   * Get micro-batching statistics summed over all workers, past and present
+   * @returns {Object} Stats in the shape of InferenceBatcher.getStats
+   */
+  getBatchStats() {
+    const current = this.slots.map(slot => slot.current).filter(record => record && record.batches).map(record => record.batches);
+    return InferenceBatcher.combineStats([this.retiredBatches, ...current], this.workerData.batcher || {});
+  }
+
+  /**
+   * Get TensorFlow.js memory use summed over the workers
+   * @returns {Object} `{ numTensors, numBytes }`
+   */
+  getMemory() {
+    const memory = { numTensors: 0, numBytes: 0 };
+    for (const { current } of this.slots) {
+      if (current) {
+        memory.numTensors += current.memory.numTensors;
+        memory.numBytes += current.memory.numBytes;
+      }
+    }
+    return memory;
+  }
+
+  /**
+   * Stop every worker and fail waiting tasks
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    for (const task of this.queue) {
+      task.reject(new WorkerError('The inference pool is shutting down.', { code: 'POOL_STOPPED' }));
+    }
+    this.queue = [];
+    const records = this.slots.flatMap(slot => [slot.current, slot.replacement]).filter(Boolean);
+    await Promise.all(records.map(record => record.worker.terminate()));
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QueueManager = require('../src/queue');
+
+/**
+ * Create a task that finishes after `ms` milliseconds and ignores its signal
+ * @param {number} ms - Run time in milliseconds
+ * @param {*} [value] - Result
+ * @returns {Object} `{ task, done, signal }`; done resolves once the task has actually finished
+ */
+function slowTask(ms, value = 'late') {
+  const state = {};
+  let finish;
+  state.done = new Promise(resolve => {
+    finish = resolve;
+  });
+  state.task = ({ signal }) => {
+    state.signal = signal;
+    return new Promise(resolve => setTimeout(() => {
+      resolve(value);
+      finish();
+    }, ms));
+  };
+  return state;
+}
+
+/**
+ * Create a task that never finishes on its own but stops when its signal fires
+ * @returns {Object} `{ task, signal }`
+ */
+function hangingTask() {
+  const state = {};
+  state.task = ({ signal }) => {
+    state.signal = signal;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  };
+  return state;
+}
+
+/**
+ * Wait for pending timers and promise callbacks
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('a timed-out task settles once with TASK_TIMEOUT', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 20 });
+  const slow = slowTask(60);
+
+  await assert.rejects(queue.addTask(slow.task), (error) => {
+    assert.equal(error.type, 'TIMEOUT_ERROR');
+    assert.equal(error.code, 'TASK_TIMEOUT');
+    return true;
+  });
+
+  await slow.done;
+  await wait(0);
+
+  const stats = queue.getStats();
+  assert.equal(stats.timedOut, 1);
+  assert.equal(stats.completed, 0);
+  assert.equal(stats.failed, 0);
+});
+
+test('a late completion does not change completed or running', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 20 });
+  const slow = slowTask(60);
+  const result = queue.addTask(slow.task).catch(error => error);
+
+  assert.equal((await result).code, 'TASK_TIMEOUT');
+  // The slot stays taken until the task has actually stopped
+  assert.equal(queue.running, 1);
+
+  await slow.done;
+  await wait(0);
+
+  assert.equal(queue.running, 0);
+  assert.equal(queue.getStats().completed, 0);
+  assert.equal(queue.getStats().timedOut, 1);
+});
+
+test('the next task only starts once the timed-out task has stopped', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 20 });
+  const slow = slowTask(60);
+  let startedWhileRunning = null;
+
+  const first = queue.addTask(slow.task).catch(error => error);
+  const second = queue.addTask(async () => {
+    startedWhileRunning = queue.running;
+    return 'next';
+  }, { timeout: 1000 });
+
+  assert.equal((await first).code, 'TASK_TIMEOUT');
+  assert.equal(await second, 'next');
+  assert.equal(startedWhileRunning, 1);
+
+  await wait(0);
+  assert.equal(queue.running, 0);
+  assert.deepEqual(
+    { completed: queue.getStats().completed, timedOut: queue.getStats().timedOut },
+    { completed: 1, timedOut: 1 }
+  );
+});
+
+test('failed and timedOut are counted separately', async () => {
+  const queue = new QueueManager({ concurrency: 2, timeout: 20 });
+  const hanging = hangingTask();
+
+  const outcomes = await Promise.allSettled([
+    queue.addTask(async () => {
+      throw new Error('boom');
+    }),
+    queue.addTask(hanging.task),
+    queue.addTask(async () => 'ok')
+  ]);
+  await wait(0);
+
+  assert.equal(outcomes[0].reason.message, 'boom');
+  assert.equal(outcomes[1].reason.code, 'TASK_TIMEOUT');
+  assert.equal(outcomes[2].value, 'ok');
+
+  const stats = queue.getStats();
+  assert.equal(stats.total, 3);
+  assert.equal(stats.completed, 1);
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.timedOut, 1);
+  assert.equal(queue.running, 0);
+});
+
+test('a task that rejects after its timeout is not counted as failed', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 20 });
+  const hanging = hangingTask();
+
+  await assert.rejects(queue.addTask(hanging.task), { code: 'TASK_TIMEOUT' });
+  await wait(0);
+
+  assert.equal(queue.getStats().failed, 0);
+  assert.equal(queue.getStats().timedOut, 1);
+  assert.equal(queue.running, 0);
+});
+
+test('the signal fires on timeout', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 20 });
+  const hanging = hangingTask();
+
+  await assert.rejects(queue.addTask(hanging.task), { code: 'TASK_TIMEOUT' });
+
+  assert.equal(hanging.signal.aborted, true);
+  assert.equal(hanging.signal.reason.code, 'TASK_TIMEOUT');
+});
+
+test('the signal fires when a running task is cancelled', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 1000 });
+  const hanging = hangingTask();
+  const controller = new AbortController();
+
+  const result = queue.addTask(hanging.task, { signal: controller.signal }).catch(error => error);
+  await wait(5);
+  controller.abort();
+
+  const error = await result;
+  assert.equal(error.type, 'REQUEST_CANCELLED');
+  assert.equal(hanging.signal.aborted, true);
+  assert.equal(hanging.signal.reason, error);
+
+  await wait(0);
+  const stats = queue.getStats();
+  assert.equal(stats.cancelled, 1);
+  assert.equal(stats.failed, 0);
+  assert.equal(stats.timedOut, 0);
+  assert.equal(queue.running, 0);
+});
+
+test('a cancelled queued task never starts', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 1000 });
+  const slow = slowTask(30, 'first');
+  const controller = new AbortController();
+  let started = false;
+
+  const first = queue.addTask(slow.task);
+  const second = queue.addTask(async () => {
+    started = true;
+  }, { signal: controller.signal }).catch(error => error);
+
+  controller.abort();
+
+  assert.equal((await second).type, 'REQUEST_CANCELLED');
+  assert.equal(await first, 'first');
+  await wait(0);
+
+  assert.equal(started, false);
+  assert.equal(queue.getStats().cancelled, 1);
+  assert.equal(queue.getStats().completed, 1);
+  assert.equal(queue.getStats().size, 0);
+});
+
+test('a timeout after cancellation does not count the task twice', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 30 });
+  const slow = slowTask(60);
+  const controller = new AbortController();
+
+  const result = queue.addTask(slow.task, { signal: controller.signal }).catch(error => error);
+  await wait(5);
+  controller.abort();
+
+  assert.equal((await result).type, 'REQUEST_CANCELLED');
+  await slow.done;
+  await wait(0);
+
+  const stats = queue.getStats();
+  assert.equal(stats.cancelled, 1);
+  assert.equal(stats.timedOut, 0);
+  assert.equal(stats.completed, 0);
+  assert.equal(queue.running, 0);
+});
+
+test('stats report queued and running tasks separately', async () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 1000 });
+  const tasks = [slowTask(30, 'a'), slowTask(30, 'b'), slowTask(30, 'c')];
+  const results = tasks.map(({ task }) => queue.addTask(task));
+
+  let stats = queue.getStats();
+  assert.equal(stats.running, 1);
+  assert.equal(stats.pending, 2);
+  assert.equal(stats.size, 2);
+
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  await wait(0);
+
+  stats = queue.getStats();
+  assert.equal(stats.running, 0);
+  assert.equal(stats.pending, 0);
+  assert.equal(stats.completed, 3);
+});
+
+test('health reflects the backlog of queued tasks', () => {
+  const queue = new QueueManager({ concurrency: 1, timeout: 1000 });
+  queue.pause();
+  for (let i = 0; i < 3; i++) {
+    queue.addTask(async () => {}).catch(() => {});
+  }
+
+  assert.equal(queue.getStats().pending, 3);
+  assert.equal(queue.getStats().running, 0);
+  assert.equal(queue.getHealth().isHealthy, false);
+
+  queue.clear();
+});